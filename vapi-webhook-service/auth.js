@@ -0,0 +1,151 @@
+/**
+ * Webhook Authentication
+ * Verifies that requests to the VAPI webhook really come from VAPI.
+ *
+ * VAPI authenticates server requests either with the assistant's server
+ * secret (sent as `x-vapi-secret`, or as an `Authorization: Bearer` token)
+ * or with an HMAC-SHA256 signature of the raw body (`x-vapi-signature`).
+ *
+ * Secrets come from the environment:
+ * - VAPI_WEBHOOK_SECRET: comma-separated secrets accepted for every assistant
+ * - VAPI_ASSISTANT_SECRETS: JSON map of assistant id to a secret (or an array
+ *   of secrets) that replaces the shared secrets for that assistant
+ * Listing the old and new secret side by side allows rotating a secret
+ * without rejecting requests in flight.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Webhook Auth');
+
+// How far a signed request's timestamp may drift from our clock
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Split a comma-separated secret list (or array) into trimmed secrets
+ */
+function toSecretList(value) {
+  const secrets = Array.isArray(value) ? value : String(value || '').split(',');
+  return secrets.map((secret) => String(secret).trim()).filter(Boolean);
+}
+
+/**
+ * Parse VAPI_ASSISTANT_SECRETS, ignoring (and reporting) invalid JSON
+ */
+function getAssistantSecretMap() {
+  const raw = process.env.VAPI_ASSISTANT_SECRETS;
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    log.error('VAPI_ASSISTANT_SECRETS is not valid JSON', { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Get the secrets accepted for an assistant
+ * Assistants with their own secrets don't accept the shared ones
+ */
+export function getWebhookSecrets(assistantId) {
+  const assistantSecrets = getAssistantSecretMap();
+
+  if (assistantId && assistantSecrets[assistantId]) {
+    return toSecretList(assistantSecrets[assistantId]);
+  }
+
+  return toSecretList(process.env.VAPI_WEBHOOK_SECRET);
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check an HMAC-SHA256 signature ("sha256=" prefix optional) of the raw body
+ * When a timestamp header is present the signed payload is "<timestamp>.<body>"
+ */
+function isValidSignature(signature, timestamp, rawBody, secrets) {
+  const expected = String(signature).replace(/^sha256=/, '').trim().toLowerCase();
+  let payload = rawBody;
+
+  if (timestamp) {
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+    payload = Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]);
+  }
+
+  return secrets.some((secret) =>
+    safeEqual(createHmac('sha256', secret).update(payload).digest('hex'), expected)
+  );
+}
+
+/**
+ * Get the id of the assistant a VAPI request was sent for
+ */
+function getAssistantId(body) {
+  const call = body?.call || body?.message?.call || {};
+  return call.assistantId || body?.assistant?.id || body?.message?.assistant?.id || null;
+}
+
+/**
+ * Verify a VAPI request
+ * Returns { valid: true } or { valid: false, status, error }
+ */
+export function verifyVapiRequest(headers, body, rawBody) {
+  const assistantId = getAssistantId(body);
+  const secrets = getWebhookSecrets(assistantId);
+
+  if (secrets.length === 0) {
+    log.error('No webhook secret configured; set VAPI_WEBHOOK_SECRET or VAPI_ASSISTANT_SECRETS');
+    return { valid: false, status: 500, error: 'Webhook authentication is not configured' };
+  }
+
+  const providedSecret = headers['x-vapi-secret'] ||
+    (headers.authorization || '').replace(/^Bearer\s+/i, '') ||
+    null;
+
+  if (providedSecret && secrets.some((secret) => safeEqual(secret, providedSecret))) {
+    return { valid: true };
+  }
+
+  const signature = headers['x-vapi-signature'];
+
+  if (signature && rawBody && isValidSignature(signature, headers['x-vapi-timestamp'], rawBody, secrets)) {
+    return { valid: true };
+  }
+
+  log.warn('Rejected unauthenticated request', {
+    assistantId,
+    hadSecret: Boolean(providedSecret),
+    hadSignature: Boolean(signature)
+  });
+  return {
+    valid: false,
+    status: 401,
+    error: providedSecret || signature ? 'Invalid webhook credentials' : 'Missing webhook credentials'
+  };
+}
+
+/**
+ * Express middleware that rejects requests that aren't from VAPI
+ * Needs express.json() to keep the raw body on req.rawBody for signatures
+ */
+export function requireVapiAuth(req, res, next) {
+  const verification = verifyVapiRequest(req.headers, req.body, req.rawBody);
+
+  if (!verification.valid) {
+    return res.status(verification.status).json({ error: verification.error });
+  }
+
+  next();
+}
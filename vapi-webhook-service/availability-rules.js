@@ -0,0 +1,266 @@
+/**
+ * Availability Rules
+ * Per-host booking rules stored in `calendar_settings.availability`:
+ * weekly working hours (in the host's timezone), buffers around meetings,
+ * minimum notice, how far ahead callers can book and a daily meeting cap
+ */
+
+import { getCalendarSettings } from './settings.js';
+import { getZonedParts, isValidTimeZone, zonedTimeToUtc } from './timezone-utils.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rules applied when a host hasn't saved their own
+ * dailyMeetingLimit of null means no cap
+ */
+export const DEFAULT_AVAILABILITY_RULES = {
+  weeklyHours: {
+    monday: [{ start: '09:00', end: '17:00' }],
+    tuesday: [{ start: '09:00', end: '17:00' }],
+    wednesday: [{ start: '09:00', end: '17:00' }],
+    thursday: [{ start: '09:00', end: '17:00' }],
+    friday: [{ start: '09:00', end: '17:00' }],
+    saturday: [],
+    sunday: [],
+  },
+  bufferBeforeMinutes: 0,
+  bufferAfterMinutes: 0,
+  minimumNoticeMinutes: 60,
+  maxDaysAhead: 60,
+  dailyMeetingLimit: null,
+};
+
+/**
+ * Which calendars count as busy, from `calendar_settings.calendars`
+ * busyCalendarIds are the calendars checked for busy time (the calendar
+ * bookings are written to is always checked); allDayEvents says whether
+ * all-day events block their day ('busy') or are ignored ('free')
+ */
+export const DEFAULT_CALENDAR_PREFERENCES = {
+  busyCalendarIds: ['primary'],
+  allDayEvents: 'busy',
+};
+
+/**
+ * Get a host's availability rules merged over the defaults
+ * Hosts without a saved timezone are assumed to share the caller's
+ */
+export async function getAvailabilityRules(userId, fallbackTimezone = 'UTC') {
+  const settings = await getCalendarSettings(userId);
+  const stored = settings.availability || {};
+
+  return {
+    ...DEFAULT_AVAILABILITY_RULES,
+    ...stored,
+    weeklyHours: { ...DEFAULT_AVAILABILITY_RULES.weeklyHours, ...stored.weeklyHours },
+    timezone: isValidTimeZone(settings.timezone) ? settings.timezone : fallbackTimezone,
+    calendars: { ...DEFAULT_CALENDAR_PREFERENCES, ...settings.calendars },
+  };
+}
+
+/**
+ * Apply a meeting type's own rules over the host's
+ * A type's weeklyHours replace the host's (days it doesn't list are closed
+ * to it) and its buffers replace the host's buffers
+ */
+export function applyMeetingTypeRules(rules, meetingType) {
+  if (!meetingType) {
+    return rules;
+  }
+
+  return {
+    ...rules,
+    ...(meetingType.bufferBeforeMinutes != null && { bufferBeforeMinutes: meetingType.bufferBeforeMinutes }),
+    ...(meetingType.bufferAfterMinutes != null && { bufferAfterMinutes: meetingType.bufferAfterMinutes }),
+    ...(meetingType.weeklyHours && {
+      weeklyHours: Object.fromEntries(WEEKDAYS.map((weekday) => [weekday, meetingType.weeklyHours[weekday] || []])),
+    }),
+  };
+}
+
+/**
+ * Get the local calendar day ({ year, month, day }) an instant falls on
+ */
+function getLocalDay(date, timezone) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return { year, month, day };
+}
+
+/**
+ * Add days to a local calendar day, normalizing month/year overflow
+ */
+function addDays(localDay, days) {
+  const date = new Date(Date.UTC(localDay.year, localDay.month - 1, localDay.day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Get the instant of local midnight at the start of the day a date falls on
+ */
+export function startOfLocalDay(date, timezone) {
+  return zonedTimeToUtc(getLocalDay(date, timezone), timezone);
+}
+
+/**
+ * Get the key identifying the host-local day an instant falls on
+ */
+export function localDayKey(date, timezone) {
+  const { year, month, day } = getLocalDay(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Convert "HH:MM" on a local day to an instant ("24:00" is the next midnight)
+ */
+function localTimeToUtc(localDay, time, timezone) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return zonedTimeToUtc({ ...localDay, hours, minutes }, timezone);
+}
+
+/**
+ * Get the host's working windows that overlap [rangeStart, rangeEnd)
+ * Each window carries its unclipped bounds (workStart/workEnd) and its
+ * start/end clipped to the range.
+ */
+export function getWorkingWindows(rules, rangeStart, rangeEnd) {
+  const windows = [];
+  let localDay = getLocalDay(rangeStart, rules.timezone);
+
+  while (zonedTimeToUtc(localDay, rules.timezone) < rangeEnd) {
+    const weekday = WEEKDAYS[new Date(Date.UTC(localDay.year, localDay.month - 1, localDay.day)).getUTCDay()];
+
+    for (const hours of rules.weeklyHours[weekday] || []) {
+      const workStart = localTimeToUtc(localDay, hours.start, rules.timezone);
+      const workEnd = localTimeToUtc(localDay, hours.end, rules.timezone);
+      const start = new Date(Math.max(workStart.getTime(), rangeStart.getTime()));
+      const end = new Date(Math.min(workEnd.getTime(), rangeEnd.getTime()));
+
+      if (start < end) {
+        windows.push({ localDay, workStart, workEnd, start, end });
+      }
+    }
+
+    localDay = addDays(localDay, 1);
+  }
+
+  return windows;
+}
+
+/**
+ * Get the earliest and latest instants callers may book at the moment
+ */
+export function getBookableRange(rules, now = new Date()) {
+  return {
+    earliest: new Date(now.getTime() + rules.minimumNoticeMinutes * 60 * 1000),
+    latest: new Date(now.getTime() + rules.maxDaysAhead * DAY_MS),
+  };
+}
+
+/**
+ * Check the rules that don't depend on the calendar contents
+ * Returns null when the slot is allowed, otherwise { reason, details }
+ */
+export function checkBookingRules(rules, start, end, now = new Date()) {
+  const { earliest, latest } = getBookableRange(rules, now);
+
+  if (start < earliest) {
+    return {
+      reason: 'minimum_notice',
+      details: { minimumNoticeMinutes: rules.minimumNoticeMinutes },
+    };
+  }
+
+  if (end > latest) {
+    return {
+      reason: 'too_far_ahead',
+      details: { maxDaysAhead: rules.maxDaysAhead },
+    };
+  }
+
+  // Working windows for the whole local day (and beyond, for slots crossing midnight)
+  const localDay = getLocalDay(start, rules.timezone);
+  const nextDayStart = zonedTimeToUtc(addDays(localDay, 1), rules.timezone);
+  const dayWindows = getWorkingWindows(
+    rules,
+    zonedTimeToUtc(localDay, rules.timezone),
+    new Date(Math.max(end.getTime(), nextDayStart.getTime()))
+  );
+  const fits = dayWindows.some((window) => window.workStart <= start && end <= window.workEnd);
+
+  if (!fits) {
+    const startDay = localDayKey(start, rules.timezone);
+    return {
+      reason: 'outside_working_hours',
+      details: {
+        timezone: rules.timezone,
+        workingWindows: dayWindows
+          .filter((window) => localDayKey(window.workStart, rules.timezone) === startDay)
+          .map((window) => ({ start: window.workStart, end: window.workEnd })),
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get the events that would sit inside a meeting's buffers or overlap it
+ */
+export function getBlockingEvents(rules, events, start, end) {
+  const blockStart = start.getTime() - rules.bufferBeforeMinutes * 60 * 1000;
+  const blockEnd = end.getTime() + rules.bufferAfterMinutes * 60 * 1000;
+  return events.filter((event) => event.start.getTime() < blockEnd && event.end.getTime() > blockStart);
+}
+
+/**
+ * Count the host's timed events on each host-local day
+ */
+export function countEventsPerDay(rules, events) {
+  const counts = new Map();
+  for (const event of events) {
+    if (event.allDay) continue;
+    const key = localDayKey(event.start, rules.timezone);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Check the rules that depend on the calendar: conflicts, buffers and the
+ * daily cap. events must cover the slot's whole host-local day.
+ * Returns null when the slot is free, otherwise { reason, conflicts, details }
+ */
+export function checkCalendarRules(rules, events, start, end) {
+  const blocking = getBlockingEvents(rules, events, start, end);
+  const conflicts = blocking.filter((event) => event.start < end && event.end > start);
+
+  if (conflicts.length > 0) {
+    return { reason: 'conflict', conflicts, details: {} };
+  }
+
+  if (blocking.length > 0) {
+    return {
+      reason: 'buffer',
+      conflicts: blocking,
+      details: {
+        bufferBeforeMinutes: rules.bufferBeforeMinutes,
+        bufferAfterMinutes: rules.bufferAfterMinutes,
+      },
+    };
+  }
+
+  if (rules.dailyMeetingLimit != null) {
+    const count = countEventsPerDay(rules, events).get(localDayKey(start, rules.timezone)) || 0;
+    if (count >= rules.dailyMeetingLimit) {
+      return {
+        reason: 'daily_limit',
+        conflicts: [],
+        details: { dailyMeetingLimit: rules.dailyMeetingLimit },
+      };
+    }
+  }
+
+  return null;
+}
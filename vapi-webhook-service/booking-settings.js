@@ -0,0 +1,91 @@
+/**
+ * Booking Settings
+ * How agent-booked meetings are written, from `calendar_settings.booking`:
+ * the calendar they land on, their color, visibility and reminders
+ */
+
+import { getCalendarSettings } from './settings.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Booking Settings');
+
+const VISIBILITIES = ['default', 'public', 'private', 'confidential'];
+const REMINDER_METHODS = ['email', 'popup'];
+
+// Google allows up to five reminders, at most four weeks ahead
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320;
+
+/**
+ * Settings applied when a host hasn't saved their own
+ * calendarId null means the provider's default calendar and colorId null the
+ * calendar's own color; reminders can be 'default' for the calendar's
+ * default reminders or a list of { method, minutes }
+ */
+export const DEFAULT_BOOKING_SETTINGS = {
+  calendarId: null,
+  colorId: null,
+  visibility: 'default',
+  reminders: [
+    { method: 'email', minutes: 60 },
+    { method: 'popup', minutes: 15 },
+  ],
+};
+
+/**
+ * Check a saved reminders value, returning null if it isn't usable
+ */
+function parseReminders(reminders) {
+  if (reminders === 'default') {
+    return reminders;
+  }
+  if (!Array.isArray(reminders) || reminders.length > MAX_REMINDERS) {
+    return null;
+  }
+
+  const valid = reminders.every((reminder) =>
+    REMINDER_METHODS.includes(reminder?.method) &&
+    Number.isInteger(reminder.minutes) &&
+    reminder.minutes >= 0 &&
+    reminder.minutes <= MAX_REMINDER_MINUTES
+  );
+  return valid ? reminders.map(({ method, minutes }) => ({ method, minutes })) : null;
+}
+
+/**
+ * Get a host's booking settings merged over the defaults
+ * Invalid values are logged and replaced by the defaults rather than sent
+ * to the calendar, which would reject the whole event
+ */
+export async function getBookingSettings(userId) {
+  const settings = await getCalendarSettings(userId);
+  const stored = settings.booking || {};
+  const booking = { ...DEFAULT_BOOKING_SETTINGS };
+
+  if (typeof stored.calendarId === 'string' && stored.calendarId.trim()) {
+    booking.calendarId = stored.calendarId.trim();
+  }
+
+  if (stored.colorId != null) {
+    booking.colorId = String(stored.colorId);
+  }
+
+  if (stored.visibility !== undefined) {
+    if (VISIBILITIES.includes(stored.visibility)) {
+      booking.visibility = stored.visibility;
+    } else {
+      log.warn('Ignoring invalid visibility', { userId, visibility: stored.visibility });
+    }
+  }
+
+  if (stored.reminders !== undefined) {
+    const reminders = parseReminders(stored.reminders);
+    if (reminders) {
+      booking.reminders = reminders;
+    } else {
+      log.warn('Ignoring invalid reminders', { userId, reminders: stored.reminders });
+    }
+  }
+
+  return booking;
+}
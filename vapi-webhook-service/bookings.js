@@ -0,0 +1,209 @@
+/**
+ * Booking Records
+ * Every meeting the agent books is stored in the `bookings` collection so the
+ * main application can see what was booked, for whom and from which call.
+ * Records are kept in sync when a meeting is rescheduled or cancelled.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getIndexedCollection } from './db.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Bookings');
+
+/**
+ * Get the bookings collection, creating its indexes on first use
+ */
+function getBookingsCollection() {
+  return getIndexedCollection('bookings', [
+    [{ userId: 1, scheduledAt: 1 }],
+    [{ userId: 1, attendeePhone: 1 }],
+    [{ userId: 1, attendeeEmail: 1 }],
+    [{ callId: 1 }],
+    [{ calendarEventId: 1 }],
+    [{ leadId: 1, scheduledAt: -1 }],
+  ]);
+}
+
+/**
+ * Normalize a phone number to digits with an optional leading "+"
+ */
+export function normalizePhone(phone) {
+  if (!phone) return '';
+  const trimmed = String(phone).trim();
+  return (trimmed.startsWith('+') ? '+' : '') + trimmed.replace(/\D/g, '');
+}
+
+/**
+ * Normalize an email address for matching
+ */
+export function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+/**
+ * Map a stored booking to the shape used by the calendar service
+ */
+function toBooking(record) {
+  return {
+    id: record._id.toString(),
+    calendarEventId: record.calendarEventId,
+    calendarProvider: record.calendarProvider,
+    calendarId: record.calendarId || null,
+    conference: record.conference || null,
+    meetingType: record.meetingType || null,
+    leadId: record.leadId || null,
+    intake: record.intake || [],
+    title: record.title,
+    start: record.scheduledAt,
+    end: record.endsAt,
+    durationMinutes: record.durationMinutes,
+    timezone: record.timezone,
+    attendeeName: record.attendeeName,
+    attendeeEmail: record.attendeeEmail,
+    attendeePhone: record.attendeePhone,
+    callId: record.callId,
+    status: record.status,
+  };
+}
+
+/**
+ * Store a newly booked meeting
+ * Keyed by calendar event, so a retried booking returns the existing record
+ */
+export async function recordBooking(userId, leadInfo, meetingDetails, { calendarEventId, calendarProvider, calendarId, conference, leadId, endTime }) {
+  const collection = await getBookingsCollection();
+  const now = new Date();
+
+  // userId and calendarEventId come from the upsert filter
+  const record = {
+    calendarProvider: calendarProvider || null,
+    calendarId: calendarId || null,
+    conference: conference || null,
+    meetingType: meetingDetails.meetingType || null,
+    leadId: leadId || null,
+    intake: meetingDetails.intake || [],
+    attendeeName: leadInfo.name,
+    attendeeEmail: normalizeEmail(leadInfo.email),
+    attendeePhone: normalizePhone(leadInfo.phone) || null,
+    callId: meetingDetails.callId || null,
+    title: meetingDetails.title,
+    scheduledAt: meetingDetails.scheduledAt,
+    endsAt: endTime,
+    durationMinutes: meetingDetails.durationMinutes || 30,
+    timezone: meetingDetails.timezone || 'UTC',
+    bookedBy: meetingDetails.bookedBy || 'ai_call',
+    status: 'confirmed',
+    history: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const stored = await collection.findOneAndUpdate(
+    { userId, calendarEventId },
+    { $setOnInsert: record },
+    { upsert: true, returnDocument: 'after' }
+  );
+  log.info('Recorded booking', { bookingId: stored._id, userId });
+
+  return toBooking(stored);
+}
+
+/**
+ * Find a caller's upcoming confirmed bookings by phone number and/or email,
+ * soonest first
+ * A match on email alone doesn't show the caller owns the booking; check
+ * attendeePhone or confirm their identity before changing it.
+ */
+export async function findUpcomingBookings(userId, { phone, email } = {}) {
+  const matchers = [];
+  if (phone) matchers.push({ attendeePhone: normalizePhone(phone) });
+  if (email) matchers.push({ attendeeEmail: normalizeEmail(email) });
+
+  if (matchers.length === 0) {
+    return [];
+  }
+
+  const collection = await getBookingsCollection();
+  const records = await collection
+    .find({
+      userId,
+      status: 'confirmed',
+      scheduledAt: { $gte: new Date() },
+      $or: matchers,
+    })
+    .sort({ scheduledAt: 1 })
+    .toArray();
+
+  return records.map(toBooking);
+}
+
+/**
+ * Get every booking made or changed during a call
+ */
+export async function getBookingsForCall(callId) {
+  const collection = await getBookingsCollection();
+  const records = await collection
+    .find({ $or: [{ callId }, { 'history.callId': callId }] })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  return records.map(toBooking);
+}
+
+/**
+ * Record that a booking moved to a new time
+ */
+export async function markBookingRescheduled(bookingId, { scheduledAt, endsAt, timezone, callId }) {
+  const collection = await getBookingsCollection();
+  const booking = await collection.findOne({ _id: new ObjectId(bookingId) });
+  const now = new Date();
+
+  await collection.updateOne(
+    { _id: new ObjectId(bookingId) },
+    {
+      $set: {
+        scheduledAt,
+        endsAt,
+        durationMinutes: Math.round((endsAt - scheduledAt) / 60000),
+        timezone,
+        updatedAt: now,
+      },
+      $push: {
+        history: {
+          action: 'rescheduled',
+          from: booking?.scheduledAt,
+          to: scheduledAt,
+          callId: callId || null,
+          at: now,
+        },
+      },
+    }
+  );
+}
+
+/**
+ * Record that a booking was cancelled
+ */
+export async function markBookingCancelled(bookingId, { callId } = {}) {
+  const collection = await getBookingsCollection();
+  const now = new Date();
+
+  await collection.updateOne(
+    { _id: new ObjectId(bookingId) },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: now,
+        updatedAt: now,
+      },
+      $push: {
+        history: {
+          action: 'cancelled',
+          callId: callId || null,
+          at: now,
+        },
+      },
+    }
+  );
+}
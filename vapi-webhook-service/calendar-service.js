@@ -1,349 +1,628 @@
 /**
  * Calendar Integration Service
- * Simplified version for standalone webhook service
+ * Finds open times and books, reschedules and cancels meetings on the
+ * host's calendar, within their booking settings and holding the slot while
+ * the event is written
  */
 
-import { MongoClient } from 'mongodb';
+import { createHash } from 'crypto';
+import { getCalendarConnection } from './providers/index.js';
+import { getBookingSettings } from './booking-settings.js';
+import { conferenceEventFields, describeConference, getConferencing } from './conferencing.js';
+import { getMeetingType } from './meeting-types.js';
+import { upsertLead } from './leads.js';
+import { getPrivacyPolicy, redactConflicts } from './privacy.js';
+import { createLogger } from './logger.js';
+import {
+  markBookingCancelled,
+  markBookingRescheduled,
+  normalizeEmail,
+  normalizePhone,
+  recordBooking,
+} from './bookings.js';
+import {
+  acquireSlotHold,
+  confirmSlotHold,
+  releaseBookingHolds,
+  releaseSlotHold,
+  transferBookingHolds,
+} from './slot-holds.js';
+import {
+  applyMeetingTypeRules,
+  checkBookingRules,
+  checkCalendarRules,
+  countEventsPerDay,
+  getAvailabilityRules,
+  getBlockingEvents,
+  getBookableRange,
+  getWorkingWindows,
+  localDayKey,
+  startOfLocalDay,
+} from './availability-rules.js';
+
+const log = createLogger('Calendar');
+
+// Alternative slot search: step between candidate start times and how many
+// days ahead to look
+const SLOT_STEP_MINUTES = 15;
+const SLOT_SEARCH_HORIZON_DAYS = 7;
 
-const MONGODB_URI = process.env.MONGODB_URI;
-const GOOGLE_CLIENT_ID = process.env.GOOGLE_CALENDAR_CLIENT_ID;
-const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CALENDAR_CLIENT_SECRET;
-
-let cachedClient = null;
-let cachedDb = null;
+/**
+ * Round a date up to the next slot step boundary
+ */
+function roundUpToStep(date) {
+  const step = SLOT_STEP_MINUTES * 60 * 1000;
+  return new Date(Math.ceil(date.getTime() / step) * step);
+}
 
 /**
- * Get MongoDB connection (with caching)
+ * Find free slots of a given duration, searching forward from a start time
+ * Walks the host's working windows from the rest of the start day onwards,
+ * up to horizonDays ahead, honoring buffers, notice, horizon and the daily
+ * cap. Suggested slots never overlap each other.
  */
-async function getMongoDb() {
-  if (cachedDb) {
-    return cachedDb;
-  }
+function findFreeSlots(events, fromTime, durationMinutes, rules, { count = 3, horizonDays = SLOT_SEARCH_HORIZON_DAYS, rangeEnd } = {}) {
+  const duration = durationMinutes * 60 * 1000;
+  const { earliest, latest } = getBookableRange(rules);
+  const searchStart = new Date(Math.max(fromTime.getTime(), earliest.getTime()));
+  const searchEnd = new Date(Math.min(
+    (rangeEnd || new Date(fromTime.getTime() + (horizonDays + 1) * 24 * 60 * 60 * 1000)).getTime(),
+    latest.getTime()
+  ));
+  const eventsPerDay = countEventsPerDay(rules, events);
+  const slots = [];
+
+  for (const window of getWorkingWindows(rules, searchStart, searchEnd)) {
+    if (slots.length >= count) {
+      break;
+    }
 
-  if (!cachedClient) {
-    cachedClient = new MongoClient(MONGODB_URI, {
-      maxPoolSize: 10,
-      minPoolSize: 2,
-    });
-    await cachedClient.connect();
-    console.log('[MongoDB] Connected');
+    if (rules.dailyMeetingLimit != null &&
+        (eventsPerDay.get(localDayKey(window.workStart, rules.timezone)) || 0) >= rules.dailyMeetingLimit) {
+      continue;
+    }
+
+    let candidate = roundUpToStep(window.start);
+
+    while (slots.length < count && candidate.getTime() + duration <= window.end.getTime()) {
+      const candidateEnd = new Date(candidate.getTime() + duration);
+      const blocking = getBlockingEvents(rules, events, candidate, candidateEnd);
+
+      if (blocking.length === 0) {
+        slots.push({ start: candidate, end: candidateEnd });
+        candidate = candidateEnd;
+      } else {
+        // Skip past the latest-ending blocking event and its buffer
+        const latestEnd = Math.max(...blocking.map((event) => event.end.getTime()));
+        candidate = roundUpToStep(new Date(latestEnd + rules.bufferBeforeMinutes * 60 * 1000));
+      }
+    }
   }
 
-  cachedDb = cachedClient.db();
-  return cachedDb;
+  return slots;
 }
 
 /**
- * Get user's Google Calendar integration
+ * Split a working window into the free windows a meeting could occupy,
+ * keeping only those long enough for the meeting
  */
-async function getUserIntegration(userId) {
-  const db = await getMongoDb();
-  const collection = db.collection('user_integrations');
-  const integration = await collection.findOne({ userId, provider: 'google-calendar' });
-  
-  if (!integration) {
-    return null;
+function subtractEvents(window, events, durationMinutes, rules) {
+  const duration = durationMinutes * 60 * 1000;
+  const bufferBefore = rules.bufferBeforeMinutes * 60 * 1000;
+  const bufferAfter = rules.bufferAfterMinutes * 60 * 1000;
+
+  // A meeting must end bufferAfter before an event and start bufferBefore after it
+  const busy = events
+    .map((event) => ({ start: new Date(event.start.getTime() - bufferAfter), end: new Date(event.end.getTime() + bufferBefore) }))
+    .filter((event) => event.start < window.end && event.end > window.start)
+    .sort((a, b) => a.start - b.start);
+
+  const free = [];
+  let cursor = roundUpToStep(window.start);
+
+  for (const event of busy) {
+    if (event.start > cursor) {
+      free.push({ start: cursor, end: event.start });
+    }
+    if (event.end > cursor) {
+      cursor = roundUpToStep(event.end);
+    }
   }
-  
-  return {
-    userId: integration.userId,
-    provider: integration.provider,
-    accessToken: integration.accessToken,
-    refreshToken: integration.refreshToken,
-    expiresAt: new Date(integration.expiresAt),
-    createdAt: new Date(integration.createdAt),
-    updatedAt: new Date(integration.updatedAt),
-  };
+
+  if (cursor < window.end) {
+    free.push({ start: cursor, end: window.end });
+  }
+
+  return free.filter((w) => w.end.getTime() - w.start.getTime() >= duration);
 }
 
 /**
- * Refresh Google OAuth access token
+ * Get busy events covering whole host-local days around a time range, so
+ * buffers and the daily cap can be evaluated
+ * Reads the host's configured calendars; all-day events are dropped when the
+ * host's policy says they don't block the day
  */
-async function refreshAccessToken(userId, refreshToken) {
-  const tokenResponse = await fetch("https://oauth2.googleapis.com/token", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded",
-    },
-    body: new URLSearchParams({
-      refresh_token: refreshToken,
-      client_id: GOOGLE_CLIENT_ID,
-      client_secret: GOOGLE_CLIENT_SECRET,
-      grant_type: "refresh_token",
-    }),
+async function getEventsForDays(connection, rules, rangeStart, rangeEnd) {
+  const timeMin = startOfLocalDay(rangeStart, rules.timezone);
+  const timeMax = new Date(startOfLocalDay(rangeEnd, rules.timezone).getTime() + 24 * 60 * 60 * 1000);
+  const events = await connection.provider.listEvents(connection, timeMin, timeMax, {
+    calendarIds: rules.calendars.busyCalendarIds,
+    timezone: rules.timezone
   });
 
-  if (!tokenResponse.ok) {
-    const errorText = await tokenResponse.text();
-    throw new Error(`Token refresh failed: ${errorText}`);
-  }
-
-  const tokens = await tokenResponse.json();
-  
-  // Update access token in MongoDB
-  const db = await getMongoDb();
-  const collection = db.collection('user_integrations');
-  
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + tokens.expires_in * 1000);
-  
-  await collection.updateOne(
-    { userId, provider: 'google-calendar' },
-    {
-      $set: {
-        accessToken: tokens.access_token,
-        expiresAt,
-        updatedAt: now,
-      },
-    }
-  );
-
-  return tokens.access_token;
+  return rules.calendars.allDayEvents === 'free'
+    ? events.filter((event) => !event.allDay)
+    : events;
 }
 
 /**
- * Get valid access token (refreshes if expired)
+ * Get the rules a meeting is booked under: the host's availability rules,
+ * with those of its meeting type (a slug) applied
  */
-async function getValidAccessToken(userId) {
-  const integration = await getUserIntegration(userId);
-  
-  if (!integration || !integration.accessToken) {
-    throw new Error("Google Calendar not connected. Please connect your calendar in Integrations.");
-  }
+async function getRulesFor(userId, timezone, meetingTypeSlug) {
+  const [rules, meetingType] = await Promise.all([
+    getAvailabilityRules(userId, timezone),
+    meetingTypeSlug ? getMeetingType(userId, meetingTypeSlug) : null,
+  ]);
+  return applyMeetingTypeRules(rules, meetingType);
+}
 
-  // Check if token is expired or about to expire (within 5 minutes)
-  const now = new Date();
-  const fiveMinutesFromNow = new Date(now.getTime() + 5 * 60 * 1000);
+/**
+ * Connect to the host's calendar, writing to their booking calendar
+ */
+async function connectBookingCalendar(userId, bookingSettings) {
+  const { calendarId } = bookingSettings || await getBookingSettings(userId);
+  return await getCalendarConnection(userId, null, { calendarId });
+}
 
-  if (integration.expiresAt < fiveMinutesFromNow) {
-    // Token expired or about to expire, refresh it
-    if (!integration.refreshToken) {
-      throw new Error("No refresh token available. Please reconnect your calendar.");
-    }
-    return await refreshAccessToken(userId, integration.refreshToken);
-  }
+/**
+ * Connect to the calendar a booking was made on
+ */
+async function connectBookedCalendar(userId, booking) {
+  return await getCalendarConnection(userId, booking.calendarProvider, { calendarId: booking.calendarId });
+}
 
-  return integration.accessToken;
+/**
+ * Whether an event is one the caller asked to ignore, by event id or by
+ * the booking key it was created with
+ */
+function isExcludedEvent(event, excludeEventIds) {
+  return excludeEventIds.includes(event.id) ||
+    (event.bookingKey != null && excludeEventIds.includes(event.bookingKey));
 }
 
 /**
- * Get calendar events from Google Calendar
+ * List open times between two instants
+ * Returns free windows grouped by host-local day plus a flat list of up to
+ * maxSlots bookable, non-overlapping slots; meetingType (a slug) applies
+ * that type's hours and buffers
  */
-async function getGoogleCalendarEvents(accessToken, timeMin, timeMax) {
-  const params = new URLSearchParams({
-    timeMin: timeMin.toISOString(),
-    timeMax: timeMax.toISOString(),
-    singleEvents: "true",
-    orderBy: "startTime",
+export async function findAvailableSlots(userId, rangeStart, rangeEnd, durationMinutes = 30, options = {}) {
+  const { timezone = 'UTC', maxSlots = 20, meetingType = null } = options;
+
+  log.info('Finding available slots', {
+    userId,
+    rangeStart: rangeStart.toISOString(),
+    rangeEnd: rangeEnd.toISOString(),
+    durationMinutes,
+    timezone,
+    meetingType
   });
 
-  const response = await fetch(
-    `https://www.googleapis.com/calendar/v3/calendars/primary/events?${params}`,
-    {
-      headers: { Authorization: `Bearer ${accessToken}` },
+  const rules = await getRulesFor(userId, timezone, meetingType);
+  const connection = await connectBookingCalendar(userId);
+  const events = await getEventsForDays(connection, rules, rangeStart, rangeEnd);
+
+  const { earliest, latest } = getBookableRange(rules);
+  const searchStart = new Date(Math.max(rangeStart.getTime(), earliest.getTime()));
+  const searchEnd = new Date(Math.min(rangeEnd.getTime(), latest.getTime()));
+  const eventsPerDay = countEventsPerDay(rules, events);
+
+  // Group free windows by host-local day
+  const days = new Map();
+  for (const window of searchStart < searchEnd ? getWorkingWindows(rules, searchStart, searchEnd) : []) {
+    const key = localDayKey(window.workStart, rules.timezone);
+    if (rules.dailyMeetingLimit != null && (eventsPerDay.get(key) || 0) >= rules.dailyMeetingLimit) {
+      continue;
     }
-  );
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to fetch Google Calendar events: ${errorText}`);
+    const day = days.get(key) || { localDay: window.localDay, dayStart: window.workStart, dayEnd: window.workEnd, windows: [] };
+    day.dayEnd = window.workEnd;
+    day.windows.push(...subtractEvents(window, events, durationMinutes, rules));
+    days.set(key, day);
   }
 
-  const data = await response.json();
-  
-  return (data.items || []).map((event) => ({
-    id: event.id,
-    title: event.summary || "Busy",
-    start: new Date(event.start.dateTime || event.start.date),
-    end: new Date(event.end.dateTime || event.end.date),
-    allDay: !event.start.dateTime,
-  }));
+  const slots = findFreeSlots(events, rangeStart, durationMinutes, rules, {
+    count: maxSlots,
+    rangeEnd
+  });
+
+  const openDays = [...days.values()].filter((day) => day.windows.length > 0);
+  log.info('Found available slots', { days: openDays.length, slots: slots.length });
+
+  return { days: openDays, slots };
 }
 
 /**
- * Check availability for a proposed time
+ * Check availability for a proposed time against the host's rules and calendar
+ * When the slot is refused, `reason` says why (minimum_notice, too_far_ahead,
+ * outside_working_hours, conflict, buffer or daily_limit) and up to
+ * `suggestionCount` alternative slots of the same duration are returned.
+ * meetingType (a slug) applies that type's hours and buffers. Conflicts
+ * are redacted by the host's privacy policy (titles are null unless revealed).
+ * An available slot comes with the host's time zone (`timezone`).
  */
-export async function checkAvailability(userId, proposedTime, durationMinutes = 30) {
-  console.log(`[Calendar Service] ===== checkAvailability START =====`);
-  console.log(`[Calendar Service] userId: ${userId}, proposedTime: ${proposedTime.toISOString()}, duration: ${durationMinutes}min`);
-  
+export async function checkAvailability(userId, proposedTime, durationMinutes = 30, options = {}) {
+  const { timezone = 'UTC', suggestionCount = 3, excludeEventIds = [], meetingType = null } = options;
+
+  log.info('Checking availability', { userId, proposedTime, durationMinutes, meetingType });
+
   try {
-    // Get valid access token
-    const accessToken = await getValidAccessToken(userId);
+    const rules = await getRulesFor(userId, timezone, meetingType);
 
     // Calculate time range to check (proposed time + duration)
     const duration = durationMinutes * 60 * 1000;
     const proposedEnd = new Date(proposedTime.getTime() + duration);
 
-    // Query events in a wider window to catch any conflicts
-    const timeMin = new Date(proposedTime.getTime() - 60 * 60 * 1000); // 1 hour before
-    const timeMax = new Date(proposedEnd.getTime() + 60 * 60 * 1000); // 1 hour after
+    // Working hours, notice and horizon don't need the calendar
+    let refusal = checkBookingRules(rules, proposedTime, proposedEnd);
+
+    let connection = null;
+    try {
+      connection = await connectBookingCalendar(userId);
+    } catch (error) {
+      // If calendar not connected, only the rules apply (fail open on conflicts)
+      if (!error.message.includes("not connected")) {
+        throw error;
+      }
+      log.warn('Calendar not connected, skipping conflict check', { userId });
+    }
+
+    let events = [];
+    if (!refusal && connection) {
+      log.debug('Checking calendar', { proposedTime, proposedEnd, rules });
 
-    console.log(`[Calendar] Checking availability for user ${userId}:`, {
-      proposedTime: proposedTime.toISOString(),
-      proposedEnd: proposedEnd.toISOString(),
-      durationMinutes,
-      queryRange: { timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() }
-    });
+      events = (await getEventsForDays(connection, rules, proposedTime, proposedEnd))
+        .filter((event) => !isExcludedEvent(event, excludeEventIds));
 
-    const events = await getGoogleCalendarEvents(accessToken, timeMin, timeMax);
-    
-    console.log(`[Calendar] Found ${events.length} events in range:`, events.map(e => ({
-      title: e.title,
-      start: e.start.toISOString(),
-      end: e.end.toISOString()
-    })));
-
-    // Check for conflicts - any event that overlaps with the proposed time slot
-    const conflicts = events.filter((event) => {
-      const hasConflict = event.start < proposedEnd && event.end > proposedTime;
-      console.log(`[Calendar] Checking event "${event.title}":`, {
-        eventStart: event.start.toISOString(),
-        eventEnd: event.end.toISOString(),
-        proposedStart: proposedTime.toISOString(),
-        proposedEnd: proposedEnd.toISOString(),
-        hasConflict
+      log.debug('Found events in range', {
+        count: events.length,
+        events: events.map(e => ({ title: e.title, start: e.start, end: e.end, calendarId: e.calendarId }))
+      });
+
+      refusal = checkCalendarRules(rules, events, proposedTime, proposedEnd);
+    }
+
+    if (!refusal) {
+      return { available: true, conflicts: [], timezone: rules.timezone };
+    }
+
+    log.info('Slot refused', { reason: refusal.reason, conflicts: refusal.conflicts?.length || 0 });
+
+    let suggestions = [];
+
+    if (suggestionCount > 0) {
+      // One query covering the whole search horizon
+      const horizonEnd = new Date(proposedTime.getTime() + (SLOT_SEARCH_HORIZON_DAYS + 1) * 24 * 60 * 60 * 1000);
+      const upcomingEvents = connection
+        ? (await getEventsForDays(connection, rules, proposedTime, horizonEnd)).filter((event) => !isExcludedEvent(event, excludeEventIds))
+        : [];
+      suggestions = findFreeSlots(upcomingEvents, proposedTime, durationMinutes, rules, {
+        count: suggestionCount
       });
-      return hasConflict;
+      log.info('Found alternative slots', { slots: suggestions.map(s => s.start) });
+    }
+
+    // Conflicts may reach the caller, so they leave here already redacted
+    const conflicts = refusal.conflicts?.length
+      ? redactConflicts(refusal.conflicts, await getPrivacyPolicy(userId))
+      : [];
+
+    return {
+      available: false,
+      reason: refusal.reason,
+      details: refusal.details,
+      conflicts,
+      nextAvailable: suggestions[0]?.start,
+      suggestions,
+    };
+  } catch (error) {
+    log.error('Error checking availability', error);
+    throw error;
+  }
+}
+
+/**
+ * Derive a booking key from an idempotency key
+ * A hex digest, so every provider can use it as-is (Google even as an event id)
+ */
+function bookingKeyFor(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Private event properties tying a calendar event back to the agent's booking
+ */
+function bookingProperties(leadInfo, meetingDetails) {
+  const properties = { bookedBy: meetingDetails.bookedBy || "ai_call" };
+  if (leadInfo.email) properties.attendeeEmail = normalizeEmail(leadInfo.email);
+  if (leadInfo.phone) properties.attendeePhone = normalizePhone(leadInfo.phone);
+  return properties;
+}
+
+/**
+ * Build a booked event's description: the meeting's own description, then
+ * what the agent learned about the caller, then how to join
+ */
+function buildEventDescription(leadInfo, meetingDetails, conferenceLine) {
+  const leadLines = [
+    ...(meetingDetails.intake || []).map((answer) => `${answer.label}: ${answer.value}`),
+    leadInfo.phone && `Phone: ${leadInfo.phone}`,
+  ].filter(Boolean);
+
+  return [
+    meetingDetails.description || `Meeting with ${leadInfo.name}`,
+    leadLines.join('\n'),
+    conferenceLine,
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Result returned when another call is booking an overlapping slot
+ */
+function slotHeldResult() {
+  return {
+    success: false,
+    error: "Time slot is being booked by someone else",
+    reason: 'slot_held',
+    details: {},
+    conflicts: [],
+  };
+}
+
+/**
+ * Move a booked meeting to a new time
+ * booking is a record from findUpcomingBookings. The meeting keeps its
+ * duration unless durationMinutes is given; the new slot is checked with
+ * checkAvailability, ignoring the meeting itself
+ */
+export async function rescheduleMeeting(userId, booking, newStart, options = {}) {
+  const { timezone = booking.timezone || 'UTC', callId } = options;
+  const durationMinutes = options.durationMinutes || Math.round((booking.end - booking.start) / 60000);
+  const newEnd = new Date(newStart.getTime() + durationMinutes * 60 * 1000);
+  let hold = null;
+
+  try {
+    log.info('Rescheduling meeting', {
+      userId,
+      bookingId: booking.id,
+      eventId: booking.calendarEventId,
+      from: booking.start.toISOString(),
+      to: newStart.toISOString(),
+      durationMinutes
     });
 
-    console.log(`[Calendar] Found ${conflicts.length} conflicts`);
+    // Reserve the new time before touching the calendar; the booking keeps
+    // its own holds until the move has gone through
+    hold = await acquireSlotHold(userId, newStart, newEnd, { replaceBookingId: booking.id });
+    if (!hold) {
+      return slotHeldResult();
+    }
+
+    const availability = await checkAvailability(userId, newStart, durationMinutes, {
+      timezone,
+      excludeEventIds: [booking.calendarEventId],
+      meetingType: booking.meetingType
+    });
 
-    if (conflicts.length > 0) {
+    if (!availability.available) {
+      await releaseSlotHold(hold);
       return {
-        available: false,
-        conflicts,
-        nextAvailable: undefined,
+        success: false,
+        error: `Time slot not available: ${availability.reason}`,
+        reason: availability.reason,
+        details: availability.details,
+        conflicts: availability.conflicts,
+        suggestions: availability.suggestions,
       };
     }
 
-    return { available: true, conflicts: [] };
+    const connection = await connectBookedCalendar(userId, booking);
+    await connection.provider.updateEventTime(connection, booking.calendarEventId, newStart, newEnd, availability.timezone);
+
+    // Attendees have been notified, so failed writes from here on must not fail the reschedule
+    try {
+      await markBookingRescheduled(booking.id, { scheduledAt: newStart, endsAt: newEnd, timezone, callId });
+      await confirmSlotHold(hold, { bookingId: booking.id, endsAt: newEnd });
+      await transferBookingHolds(booking.id, hold, { start: newStart, end: newEnd });
+    } catch (error) {
+      log.error('Failed to update booking after reschedule', error);
+    }
+
+    log.info('Meeting rescheduled', { bookingId: booking.id, calendarEventId: booking.calendarEventId });
+
+    return { success: true, bookingId: booking.id, calendarEventId: booking.calendarEventId, scheduledAt: newStart };
   } catch (error) {
-    console.error('[Calendar] Error checking availability:', error);
-    // If calendar not connected, return available (fail open)
-    if (error.message.includes("not connected")) {
-      return { available: true, conflicts: [] };
+    log.error('Error rescheduling meeting', error);
+    if (hold) {
+      await releaseSlotHold(hold).catch((releaseError) => log.error('Failed to release slot hold', releaseError));
     }
-    throw error;
+    return {
+      success: false,
+      error: error.message || "Failed to reschedule meeting",
+    };
   }
 }
 
 /**
- * Create calendar event on Google Calendar
+ * Cancel a booked meeting, notifying attendees
+ * booking is a record from findUpcomingBookings
  */
-async function createGoogleCalendarEvent(
-  accessToken,
-  title,
-  description,
-  startTime,
-  endTime,
-  attendeeEmails
-) {
-  console.log(`[Calendar] Creating Google Calendar event:`, {
-    title,
-    startTime: startTime.toISOString(),
-    endTime: endTime.toISOString(),
-    attendees: attendeeEmails
-  });
+export async function cancelMeeting(userId, booking, options = {}) {
+  const { callId } = options;
 
-  const response = await fetch(
-    `https://www.googleapis.com/calendar/v3/calendars/primary/events?sendUpdates=all`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        summary: title,
-        description,
-        start: { 
-          dateTime: startTime.toISOString(),
-          timeZone: 'UTC',
-        },
-        end: { 
-          dateTime: endTime.toISOString(),
-          timeZone: 'UTC',
-        },
-        attendees: attendeeEmails.map(email => ({ email })),
-        reminders: {
-          useDefault: false,
-          overrides: [
-            { method: "email", minutes: 60 },
-            { method: "popup", minutes: 15 },
-          ],
-        },
-      }),
-    }
-  );
+  try {
+    log.info('Cancelling meeting', { userId, bookingId: booking.id, eventId: booking.calendarEventId });
 
-  if (!response.ok) {
-    const error = await response.text();
-    console.error('[Calendar] Failed to create event:', error);
-    throw new Error(`Failed to create Google Calendar event: ${error}`);
-  }
+    const connection = await connectBookedCalendar(userId, booking);
+    await connection.provider.deleteEvent(connection, booking.calendarEventId);
+    await markBookingCancelled(booking.id, { callId });
+    await releaseBookingHolds(booking.id);
 
-  const data = await response.json();
-  
-  console.log(`[Calendar] Event created successfully:`, {
-    eventId: data.id,
-    eventUrl: data.htmlLink
-  });
+    log.info('Meeting cancelled', { bookingId: booking.id, calendarEventId: booking.calendarEventId });
 
-  return {
-    eventId: data.id,
-    eventUrl: data.htmlLink,
-  };
+    return { success: true, bookingId: booking.id, calendarEventId: booking.calendarEventId };
+  } catch (error) {
+    log.error('Error cancelling meeting', error);
+    return {
+      success: false,
+      error: error.message || "Failed to cancel meeting",
+    };
+  }
 }
 
 /**
- * Book a meeting on Google Calendar
- * Simplified version - only creates calendar event, doesn't save to database
+ * Book a meeting on the host's calendar and record it in the bookings collection
+ * The meeting gets the host's conferencing (for meetingDetails.meetingType,
+ * if given); `conference` in the result says how it will take place
  */
 export async function bookMeeting(userId, leadInfo, meetingDetails) {
+  let hold = null;
+
   try {
     const durationMinutes = meetingDetails.durationMinutes || 30;
     const endTime = new Date(meetingDetails.scheduledAt.getTime() + durationMinutes * 60 * 1000);
 
-    console.log(`[Calendar] Booking meeting for user ${userId}:`, {
-      lead: leadInfo.name,
-      title: meetingDetails.title,
-      scheduledAt: meetingDetails.scheduledAt.toISOString(),
+    log.info('Booking meeting', {
+      userId,
+      attendeeEmail: leadInfo.email,
+      scheduledAt: meetingDetails.scheduledAt,
       durationMinutes
     });
 
+    // A retried booking (same idempotency key) maps to the same booking key,
+    // hold and availability check, so it resolves to the original booking
+    const bookingKey = meetingDetails.idempotencyKey
+      ? bookingKeyFor(`${userId}:${meetingDetails.idempotencyKey}`)
+      : null;
+
+    // Reserve the slot so a concurrent call can't book it between our
+    // availability check and the calendar write
+    hold = await acquireSlotHold(userId, meetingDetails.scheduledAt, endTime, { holdKey: bookingKey });
+    if (!hold) {
+      return slotHeldResult();
+    }
+
     // Check availability first
-    const availability = await checkAvailability(userId, meetingDetails.scheduledAt, durationMinutes);
+    const availability = await checkAvailability(userId, meetingDetails.scheduledAt, durationMinutes, {
+      timezone: meetingDetails.timezone,
+      suggestionCount: 0,
+      excludeEventIds: bookingKey ? [bookingKey] : [],
+      meetingType: meetingDetails.meetingType
+    });
     
     if (!availability.available) {
-      console.log('[Calendar] Time slot not available, conflicts:', availability.conflicts);
+      await releaseSlotHold(hold);
+      log.info('Time slot not available', { reason: availability.reason, conflicts: availability.conflicts });
+      const titles = availability.conflicts.map(c => c.title).filter(Boolean);
       return {
         success: false,
-        error: `Time slot not available. Conflicts with: ${availability.conflicts.map(c => c.title).join(', ')}`,
+        error: availability.reason === 'conflict' && titles.length > 0
+          ? `Time slot not available. Conflicts with: ${titles.join(', ')}`
+          : `Time slot not available: ${availability.reason}`,
+        reason: availability.reason,
+        details: availability.details,
+        conflicts: availability.conflicts,
       };
     }
 
-    // Get valid access token and create calendar event
-    const accessToken = await getValidAccessToken(userId);
-    const result = await createGoogleCalendarEvent(
-      accessToken,
-      meetingDetails.title,
-      meetingDetails.description || `Meeting with ${leadInfo.name}`,
-      meetingDetails.scheduledAt,
+    // Get a calendar connection and create the event with the host's settings
+    const [bookingSettings, conferencing] = await Promise.all([
+      getBookingSettings(userId),
+      getConferencing(userId, meetingDetails.meetingType),
+    ]);
+    const connection = await connectBookingCalendar(userId, bookingSettings);
+    const { location, descriptionLine, onlineMeeting } = conferenceEventFields(conferencing);
+    const description = buildEventDescription(leadInfo, meetingDetails, descriptionLine);
+
+    log.info('Creating event', {
+      provider: connection.providerName,
+      bookingKey,
+      title: meetingDetails.title,
+      startTime: meetingDetails.scheduledAt,
       endTime,
-      [leadInfo.email]
-    );
+      timeZone: availability.timezone,
+      calendarId: bookingSettings.calendarId,
+      conferencing: conferencing.type,
+      attendees: [leadInfo.email]
+    });
+
+    const result = await connection.provider.createEvent(connection, {
+      title: meetingDetails.title,
+      description,
+      start: meetingDetails.scheduledAt,
+      end: endTime,
+      attendeeEmails: [leadInfo.email],
+      timeZone: availability.timezone,
+      privateProperties: bookingProperties(leadInfo, meetingDetails),
+      bookingKey,
+      colorId: bookingSettings.colorId,
+      visibility: bookingSettings.visibility,
+      reminders: bookingSettings.reminders,
+      location,
+      onlineMeeting
+    });
+    const conference = describeConference(conferencing, result.joinUrl);
 
-    console.log(`[Calendar] Meeting booked successfully:`, {
-      calendarEventId: result.eventId
+    log.info('Meeting booked', {
+      calendarEventId: result.eventId,
+      conference: conference.type
     });
 
+    // The invite has gone out, so failed writes from here on must not fail the booking
+    let leadId = null;
+    try {
+      leadId = await upsertLead(userId, leadInfo, {
+        intake: meetingDetails.intake,
+        meetingType: meetingDetails.meetingType,
+        callId: meetingDetails.callId,
+        bookedBy: meetingDetails.bookedBy
+      });
+    } catch (error) {
+      log.error('Failed to record lead', error);
+    }
+
+    let booking = null;
+    try {
+      booking = await recordBooking(userId, leadInfo, meetingDetails, {
+        calendarEventId: result.eventId,
+        calendarProvider: connection.providerName,
+        calendarId: connection.calendarId,
+        conference,
+        leadId,
+        endTime
+      });
+    } catch (error) {
+      log.error('Failed to record booking', error);
+    }
+
+    try {
+      await confirmSlotHold(hold, { bookingId: booking?.id, endsAt: endTime });
+    } catch (error) {
+      log.error('Failed to confirm slot hold', error);
+    }
+
     return {
       success: true,
+      bookingId: booking?.id,
       calendarEventId: result.eventId,
+      conference,
     };
   } catch (error) {
-    console.error('[Calendar] Error booking meeting:', error);
+    log.error('Error booking meeting', error);
+    if (hold) {
+      await releaseSlotHold(hold).catch((releaseError) => log.error('Failed to release slot hold', releaseError));
+    }
     return {
       success: false,
       error: error.message || "Failed to book meeting",
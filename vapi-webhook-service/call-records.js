@@ -0,0 +1,125 @@
+/**
+ * Call Records
+ * One document per VAPI call in the `calls` collection, built up from the
+ * lifecycle messages VAPI sends: status updates, final transcript lines,
+ * hang notices and the end-of-call report.
+ */
+
+import { getIndexedCollection } from './db.js';
+import { getBookingsForCall } from './bookings.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Calls');
+
+/**
+ * Get the calls collection, creating its indexes on first use
+ */
+function getCallsCollection() {
+  return getIndexedCollection('calls', [
+    [{ callId: 1 }, { unique: true }],
+    [{ userId: 1, startedAt: -1 }],
+  ]);
+}
+
+/**
+ * Drop missing values, so a message that lacks a field never clears it
+ */
+function withoutMissing(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+}
+
+/**
+ * Fields describing the call itself, taken from VAPI's call object
+ */
+function callFields(userId, call) {
+  return withoutMissing({
+    userId,
+    assistantId: call.assistantId,
+    phoneNumberId: call.phoneNumberId,
+    customerNumber: call.customer?.number,
+    type: call.type,
+  });
+}
+
+/**
+ * Apply an update to a call's record, creating the record if needed
+ */
+async function updateCallRecord(userId, call, update) {
+  const collection = await getCallsCollection();
+  const now = new Date();
+
+  await collection.updateOne(
+    { callId: call.id },
+    {
+      ...update,
+      $set: { ...callFields(userId, call), ...withoutMissing(update.$set || {}), updatedAt: now },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Record a status-update message (queued, ringing, in-progress, ended, ...)
+ */
+export async function recordCallStatus(userId, call, { status, endedReason, at }) {
+  const $set = { status };
+  if (status === 'in-progress') $set.startedAt = at;
+  if (endedReason) $set.endedReason = endedReason;
+
+  await updateCallRecord(userId, call, {
+    $set,
+    $push: { statusHistory: { status, at } },
+  });
+}
+
+/**
+ * Append a final transcript line
+ */
+export async function recordTranscriptLine(userId, call, { role, text, at }) {
+  await updateCallRecord(userId, call, {
+    $push: { transcriptLines: { role, text, at } },
+  });
+}
+
+/**
+ * Record that the assistant failed to respond in time (a hang notice)
+ */
+export async function recordCallHang(userId, call, { at }) {
+  await updateCallRecord(userId, call, {
+    $set: { lastHangAt: at },
+    $inc: { hangCount: 1 },
+  });
+}
+
+/**
+ * Store the end-of-call report, with the bookings made or changed during the call
+ */
+export async function recordCallReport(userId, call, report) {
+  const bookings = await getBookingsForCall(call.id);
+
+  await updateCallRecord(userId, call, {
+    $set: {
+      status: 'ended',
+      startedAt: report.startedAt,
+      endedAt: report.endedAt,
+      durationSeconds: report.durationSeconds,
+      endedReason: report.endedReason,
+      summary: report.summary,
+      transcript: report.transcript,
+      recordingUrl: report.recordingUrl,
+      stereoRecordingUrl: report.stereoRecordingUrl,
+      cost: report.cost,
+      costBreakdown: report.costBreakdown,
+      bookings: bookings.map((booking) => ({
+        bookingId: booking.id,
+        calendarEventId: booking.calendarEventId,
+        title: booking.title,
+        start: booking.start,
+        status: booking.status,
+      })),
+    },
+  });
+
+  log.info('Stored end-of-call report', { bookings: bookings.length });
+}
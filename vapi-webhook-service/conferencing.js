@@ -0,0 +1,115 @@
+/**
+ * Conferencing
+ * How agent-booked meetings take place, from `calendar_settings.conferencing`
+ * (a meeting type's own `conferencing` takes precedence):
+ * - { type: 'google-meet' }: a Meet link generated by Google Calendar
+ * - { type: 'zoom', url }: the host's Zoom meeting link
+ * - { type: 'link', url, label }: any other meeting link
+ * - { type: 'phone', phone }: a number the attendee dials
+ * - { type: 'location', location }: a meeting room or address
+ * - { type: 'none' } (default)
+ */
+
+import { getCalendarSettings } from './settings.js';
+import { getMeetingType } from './meeting-types.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Conferencing');
+
+// The setting each conferencing type can't do without
+const REQUIRED_FIELDS = {
+  'google-meet': null,
+  zoom: 'url',
+  link: 'url',
+  phone: 'phone',
+  location: 'location',
+  none: null,
+};
+
+const NO_CONFERENCING = { type: 'none' };
+
+/**
+ * Check a saved conferencing value, returning null if it isn't usable
+ */
+function parseConferencing(conferencing) {
+  if (!conferencing || !(conferencing.type in REQUIRED_FIELDS)) {
+    return null;
+  }
+
+  const required = REQUIRED_FIELDS[conferencing.type];
+  if (required && !(typeof conferencing[required] === 'string' && conferencing[required].trim())) {
+    return null;
+  }
+
+  return {
+    type: conferencing.type,
+    ...(required && { [required]: conferencing[required].trim() }),
+    ...(conferencing.label && { label: String(conferencing.label) }),
+  };
+}
+
+/**
+ * Get how a host's meetings (of a given meeting type, if any) take place
+ * Invalid settings are logged and treated as no conferencing
+ */
+export async function getConferencing(userId, meetingTypeSlug) {
+  const [settings, meetingType] = await Promise.all([
+    getCalendarSettings(userId),
+    meetingTypeSlug ? getMeetingType(userId, meetingTypeSlug) : null,
+  ]);
+  const stored = meetingType?.conferencing || settings.conferencing;
+
+  if (!stored) {
+    return NO_CONFERENCING;
+  }
+
+  const conferencing = parseConferencing(stored);
+  if (!conferencing) {
+    log.warn('Ignoring invalid conferencing settings', { userId, conferencing: stored });
+    return NO_CONFERENCING;
+  }
+
+  return conferencing;
+}
+
+/**
+ * Get the event fields for a conferencing choice
+ * location is shown as the event's location and, for links and numbers,
+ * repeated in the description; onlineMeeting asks the calendar provider to
+ * generate a meeting link
+ */
+export function conferenceEventFields(conferencing) {
+  switch (conferencing.type) {
+    case 'google-meet':
+      return { location: null, descriptionLine: null, onlineMeeting: 'google-meet' };
+    case 'zoom':
+    case 'link':
+      return { location: conferencing.url, descriptionLine: `Join: ${conferencing.url}`, onlineMeeting: null };
+    case 'phone':
+      return { location: conferencing.phone, descriptionLine: `Dial: ${conferencing.phone}`, onlineMeeting: null };
+    case 'location':
+      return { location: conferencing.location, descriptionLine: null, onlineMeeting: null };
+    default:
+      return { location: null, descriptionLine: null, onlineMeeting: null };
+  }
+}
+
+/**
+ * Describe how a booked meeting takes place: { type, joinUrl, phone, location, label }
+ * A requested Meet link the provider couldn't generate counts as none
+ */
+export function describeConference(conferencing, joinUrl) {
+  switch (conferencing.type) {
+    case 'google-meet':
+      return joinUrl ? { type: 'google-meet', joinUrl } : NO_CONFERENCING;
+    case 'zoom':
+    case 'link':
+      return { type: conferencing.type, joinUrl: conferencing.url, ...(conferencing.label && { label: conferencing.label }) };
+    case 'phone':
+      return { type: 'phone', phone: conferencing.phone };
+    case 'location':
+      return { type: 'location', location: conferencing.location };
+    default:
+      return NO_CONFERENCING;
+  }
+}
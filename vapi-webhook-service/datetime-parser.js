@@ -0,0 +1,375 @@
+/**
+ * Date, Time and Duration Parsing
+ * Tool arguments come from the LLM, which passes what the caller said as
+ * often as a clean "2026-10-21" / "15:00": "tomorrow", "next Tuesday",
+ * "3pm", "half past two", "an hour and a half". These resolve such values
+ * against the current date in the caller's timezone.
+ *
+ * Each resolver returns its value, or { question: { key, values } } naming
+ * the message (see i18n.js) the agent should ask the caller when the value
+ * is ambiguous or can't be understood.
+ */
+
+import { getZonedParts, zonedTimeToUtc } from './timezone-utils.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const UNIT_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
+  'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS_WORDS = { twenty: 20, thirty: 30, forty: 40, fifty: 50 };
+const ORDINAL_WORDS = ['zeroth', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+  'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth', 'nineteenth'];
+const TENS_ORDINALS = { twentieth: 20, thirtieth: 30 };
+
+// Meetings shorter or longer than this are almost certainly a misheard duration
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 8 * 60;
+
+
+/**
+ * Replace number words ("twenty one", "forty-five", "third") with digits
+ * Ordinals keep their suffix ("twenty first" -> "21st")
+ */
+function wordsToDigits(text) {
+  const units = UNIT_WORDS.join('|');
+  const ordinals = ORDINAL_WORDS.slice(1).join('|');
+  const tens = Object.keys(TENS_WORDS).join('|');
+
+  return text
+    .replace(new RegExp(`\\b(${tens})[ -](${ordinals})\\b`, 'g'), (match, ten, unit) =>
+      `${TENS_WORDS[ten] + ORDINAL_WORDS.indexOf(unit)}th`)
+    .replace(new RegExp(`\\b(${Object.keys(TENS_ORDINALS).join('|')})\\b`, 'g'), (match, word) => `${TENS_ORDINALS[word]}th`)
+    .replace(new RegExp(`\\b(${ordinals})\\b`, 'g'), (match, word) => `${ORDINAL_WORDS.indexOf(word)}th`)
+    .replace(new RegExp(`\\b(${tens})[ -](${units})\\b`, 'g'), (match, ten, unit) => String(TENS_WORDS[ten] + UNIT_WORDS.indexOf(unit)))
+    .replace(new RegExp(`\\b(${tens})\\b`, 'g'), (match, word) => String(TENS_WORDS[word]))
+    .replace(new RegExp(`\\b(${units})\\b`, 'g'), (match, word) => String(UNIT_WORDS.indexOf(word)));
+}
+
+/**
+ * Lowercase a spoken value, turn number words into digits and drop filler
+ */
+function normalizeSpoken(value) {
+  return wordsToDigits(String(value).toLowerCase())
+    .replace(/[,!?]/g, ' ')
+    .replace(/\b(on|the|of|at|around|about)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether { year, month, day } is a real calendar date
+ */
+function isRealDate({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Add days to a calendar day
+ */
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Compare two calendar days (negative when a is earlier)
+ */
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+/**
+ * Get the day of the week (0 = Sunday) of a calendar day
+ */
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Get a month number from a month name or its abbreviation
+ */
+function monthFromName(name) {
+  const index = MONTHS.findIndex((month) => month === name || (name.length >= 3 && month.startsWith(name.replace(/\.$/, ''))));
+  return index >= 0 ? index + 1 : null;
+}
+
+/**
+ * Build a date, taking the next occurrence when no year was said
+ */
+function dateWithYear(month, day, year, today) {
+  if (year != null) {
+    const fullYear = year < 100 ? 2000 + year : year;
+    return { year: fullYear, month, day };
+  }
+
+  const thisYear = { year: today.year, month, day };
+  return compareDays(thisYear, today) < 0 ? { year: today.year + 1, month, day } : thisYear;
+}
+
+/**
+ * Get a calendar day as a Date, for the translator to speak in a question
+ */
+function toSpokenDay({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day, 12));
+}
+
+/**
+ * Resolve a date the caller gave to { date: { year, month, day } }
+ * Accepts ISO dates, numeric dates (asking when day and month could be
+ * swapped), today/tomorrow, weekday names, "in 3 days", month names with or
+ * without a year, and "the 21st". Dates without a year are the next one.
+ */
+export function resolveDate(value, timezone, now = new Date()) {
+  const today = getZonedParts(now, timezone);
+  const text = normalizeSpoken(value || '');
+  let match;
+  let date = null;
+
+  if (!text) {
+    return { question: { key: 'dates.ask' } };
+  }
+
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(t[\d:.]+(z|[+-][\d:]+)?)?$/))) {
+    date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/))) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const year = match[3] ? Number(match[3]) : null;
+
+    if (first <= 12 && second <= 12 && first !== second) {
+      const asMonthFirst = dateWithYear(first, second, year, today);
+      const asDayFirst = dateWithYear(second, first, year, today);
+      return { question: { key: 'dates.eitherDay', values: { first: toSpokenDay(asMonthFirst), second: toSpokenDay(asDayFirst) } } };
+    }
+    date = first > 12 ? dateWithYear(second, first, year, today) : dateWithYear(first, second, year, today);
+  } else if (/^(today|tonight|this (morning|afternoon|evening))$/.test(text)) {
+    date = today;
+  } else if (/^(tomorrow|tmrw)( (morning|afternoon|evening|night))?$/.test(text)) {
+    date = addDays(today, 1);
+  } else if (text === 'yesterday') {
+    date = addDays(today, -1);
+  } else if (/^(day after tomorrow|overmorrow)$/.test(text)) {
+    date = addDays(today, 2);
+  } else if ((match = text.match(/^in (\d+|a|an) (day|week)s?$/))) {
+    const count = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+    date = addDays(today, count * (match[2] === 'week' ? 7 : 1));
+  } else if ((match = text.match(new RegExp(`^(this |next |coming |this coming )?(${WEEKDAYS.join('|')})( (morning|afternoon|evening))?$`)))) {
+    const target = WEEKDAYS.indexOf(match[2]);
+    const ahead = (target - weekdayOf(today) + 7) % 7;
+
+    // "Tuesday" said on a Tuesday could be today or a week away
+    if (ahead === 0 && !match[1]) {
+      return { question: { key: 'dates.todayOrNextWeek', values: { later: toSpokenDay(addDays(today, 7)) } } };
+    }
+    // "next Tuesday" said earlier in the same (Monday to Sunday) week could
+    // be either Tuesday
+    if (match[1] === 'next ' && ahead > 0 && (weekdayOf(today) + 6) % 7 + ahead <= 6) {
+      const sooner = addDays(today, ahead);
+      const later = addDays(today, ahead + 7);
+      return { question: { key: 'dates.eitherDay', values: { first: toSpokenDay(sooner), second: toSpokenDay(later) } } };
+    }
+    date = addDays(today, ahead === 0 && match[1] !== 'this ' ? 7 : ahead);
+  } else if (/^(next|this|coming) (week|month)$/.test(text) || /^(next|this) weekend$/.test(text)) {
+    return { question: { key: 'dates.whichDayOf', values: { period: text } } };
+  } else if ((match = text.match(/^(?:[a-z]+day )?([a-z]+\.?) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/)) && monthFromName(match[1])) {
+    date = dateWithYear(monthFromName(match[1]), Number(match[2]), match[3] ? Number(match[3]) : null, today);
+  } else if ((match = text.match(/^(?:[a-z]+day )?(\d{1,2})(?:st|nd|rd|th)? ([a-z]+\.?)(?: (\d{4}))?$/)) && monthFromName(match[2])) {
+    date = dateWithYear(monthFromName(match[2]), Number(match[1]), match[3] ? Number(match[3]) : null, today);
+  } else if ((match = text.match(/^(\d{1,2})(st|nd|rd|th)$/))) {
+    // "the 21st": this month, or next month once it has passed
+    const day = Number(match[1]);
+    date = { year: today.year, month: today.month, day };
+    if (day < today.day) {
+      date = today.month === 12 ? { year: today.year + 1, month: 1, day } : { year: today.year, month: today.month + 1, day };
+    }
+  }
+
+  if (!date) {
+    return { question: { key: 'dates.unclear' } };
+  }
+
+  if (!isRealDate(date)) {
+    return { question: { key: 'dates.invalid' } };
+  }
+
+  return { date: { year: date.year, month: date.month, day: date.day } };
+}
+
+/**
+ * Resolve a time of day the caller gave to { time: { hours, minutes } }
+ * Accepts 24-hour "15:30", 12-hour "3pm" / "3:30 p.m.", noon and midnight,
+ * "half past two", "quarter to four" and number words. A bare hour with no
+ * AM/PM is read as business hours: 7 to 11 in the morning, 12 to 6 in the
+ * afternoon.
+ */
+export function resolveTime(value) {
+  let text = normalizeSpoken(value || '')
+    .replace(/(?<![a-z])([ap])\.? ?m\.?(?![a-z])/g, ' $1m')
+    .replace(/\bo'?clock\b/g, '')
+    .trim();
+  let meridiem = null;
+  let hours = null;
+  let minutes = 0;
+  let match;
+
+  if (!text) {
+    return { question: { key: 'times.ask' } };
+  }
+
+  if ((match = text.match(/\b(am|pm|morning|afternoon|evening|tonight|night)\b/))) {
+    meridiem = match[1] === 'am' || match[1] === 'morning' ? 'am' : 'pm';
+    text = text.replace(/\b(in )?(am|pm|morning|afternoon|evening|tonight|night)\b/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  if (/^(noon|midday|12 noon)$/.test(text)) {
+    return { time: { hours: 12, minutes: 0 } };
+  }
+  if (/^(midnight|12 midnight)$/.test(text)) {
+    return { time: { hours: 0, minutes: 0 } };
+  }
+
+  // An explicit two-digit 24-hour time ("03:00", "15:30") is taken as is
+  if (!meridiem && (match = text.match(/^(\d{2})[:.h](\d{2})(?::\d{2})?$/)) && (Number(match[1]) >= 13 || match[1].startsWith('0'))) {
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+    return hours <= 23 && minutes <= 59
+      ? { time: { hours, minutes } }
+      : { question: { key: 'times.unclear' } };
+  }
+
+  if ((match = text.match(/^(half|quarter|\d{1,2}) (past|after|to|till|before) (\d{1,2}|noon|midnight)$/))) {
+    const offset = match[1] === 'half' ? 30 : match[1] === 'quarter' ? 15 : Number(match[1]);
+    const before = ['to', 'till', 'before'].includes(match[2]);
+    let base = match[3] === 'noon' ? 12 : match[3] === 'midnight' ? 0 : Number(match[3]);
+
+    if (offset > 59 || base > 23 || (meridiem && /\d/.test(match[3]) && (base === 0 || base > 12))) {
+      return { question: { key: 'times.unclear' } };
+    }
+
+    // The hour named is read like a bare hour ("quarter to one" is 12:45 PM)
+    // before the minutes are counted back from it
+    if (/\d/.test(match[3])) {
+      base = toDayHour(base, meridiem, match[3]);
+    }
+    const total = (base * 60 + (before ? -offset : offset) + 24 * 60) % (24 * 60);
+    return { time: { hours: Math.floor(total / 60), minutes: total % 60 } };
+  } else if ((match = text.match(/^(\d{1,2})(?:[:. h](\d{2}))?$/))) {
+    hours = Number(match[1]);
+    minutes = match[2] ? Number(match[2]) : 0;
+  } else if ((match = text.match(/^(\d{1,2})(\d{2})$/)) && meridiem) {
+    // "330pm"
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+  }
+
+  if (hours == null || minutes > 59 || hours > 23 || (meridiem && (hours === 0 || hours > 12))) {
+    return { question: { key: 'times.unclear' } };
+  }
+
+  return { time: { hours: toDayHour(hours, meridiem, text), minutes } };
+}
+
+/**
+ * Turn an hour the caller said into an hour of the day
+ * With AM/PM it is a 12-hour clock hour; without, 1 to 6 are read as the
+ * afternoon unless written with a leading zero ("03")
+ */
+function toDayHour(hours, meridiem, written) {
+  if (meridiem === 'pm' && hours < 12) {
+    return hours + 12;
+  }
+  if (meridiem === 'am' && hours === 12) {
+    return 0;
+  }
+  if (!meridiem && hours >= 1 && hours <= 6 && !/^0/.test(written)) {
+    return hours + 12;
+  }
+  return hours;
+}
+
+/**
+ * Resolve a date and time to { start } (a UTC instant)
+ * A time in the past gets a question instead
+ */
+export function resolveDateTime(dateValue, timeValue, timezone, now = new Date()) {
+  const { date, question: dateQuestion } = resolveDate(dateValue, timezone, now);
+  if (dateQuestion) {
+    return { question: dateQuestion };
+  }
+
+  const { time, question: timeQuestion } = resolveTime(timeValue);
+  if (timeQuestion) {
+    return { question: timeQuestion };
+  }
+
+  const start = zonedTimeToUtc({ ...date, ...time }, timezone);
+  if (start < now) {
+    return { question: { key: 'dates.past' } };
+  }
+
+  return { start };
+}
+
+/**
+ * Parse a duration: minutes as a number, or "45 minutes", "1 hour",
+ * "1.5 hours", "an hour and a half", "half an hour", "90 min"
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const text = normalizeSpoken(value)
+    .replace(/\b(an?|1) hour and (a )?half\b/, '90 minutes')
+    .replace(/\bhalf (an )?hour\b/, '30 minutes')
+    .replace(/\b(an?) (hour|minute)/g, '1 $2');
+  let match;
+
+  if ((match = text.match(/^(\d+(?:\.\d+)?)$/))) {
+    return Number(match[1]);
+  }
+
+  let minutes = 0;
+  let matched = false;
+  for (match of text.matchAll(/(\d+(?:\.\d+)?) ?(h|hr|hrs|hours?|m|min|mins|minutes?)(?![a-z])/g)) {
+    matched = true;
+    minutes += Number(match[1]) * (match[2].startsWith('h') ? 60 : 1);
+  }
+
+  return matched ? minutes : NaN;
+}
+
+/**
+ * Resolve a meeting's length to { minutes }
+ * Taken from the first of durationMinutes, duration_minutes and duration
+ * that is given, else from an end time (a meeting may run past midnight),
+ * else defaultMinutes (pass null to get { minutes: null } when none is given)
+ */
+export function resolveDuration(parameters, { defaultMinutes = 30, startTime } = {}) {
+  const given = [parameters.durationMinutes, parameters.duration_minutes, parameters.duration]
+    .find((value) => value != null && value !== '');
+  const endTime = parameters.endTime ?? parameters.end_time;
+  let minutes = defaultMinutes;
+
+  if (given != null) {
+    minutes = parseDuration(given);
+  } else if (endTime && startTime) {
+    const start = resolveTime(startTime);
+    const end = resolveTime(endTime);
+    if (start.question || end.question) {
+      return { question: { key: 'durations.ask' } };
+    }
+    const startMinutes = start.time.hours * 60 + start.time.minutes;
+    const endMinutes = end.time.hours * 60 + end.time.minutes;
+    minutes = (endMinutes - startMinutes + 24 * 60) % (24 * 60);
+  } else if (defaultMinutes == null) {
+    return { minutes: null };
+  }
+
+  if (!Number.isFinite(minutes) || minutes < MIN_DURATION_MINUTES || minutes > MAX_DURATION_MINUTES) {
+    return { question: { key: 'durations.invalid' } };
+  }
+
+  return { minutes: Math.round(minutes) };
+}
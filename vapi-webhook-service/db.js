@@ -0,0 +1,60 @@
+/**
+ * MongoDB Connection
+ * Shared, cached connection for the webhook service
+ */
+
+import { MongoClient } from 'mongodb';
+import { createLogger } from './logger.js';
+
+const log = createLogger('MongoDB');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+let cachedClient = null;
+let cachedDb = null;
+
+/**
+ * Get MongoDB connection (with caching)
+ * Uses the MONGODB_DB database, else the one named in MONGODB_URI
+ */
+export async function getMongoDb() {
+  if (cachedDb) {
+    return cachedDb;
+  }
+
+  if (!cachedClient) {
+    cachedClient = new MongoClient(MONGODB_URI, {
+      maxPoolSize: 10,
+      minPoolSize: 2,
+    });
+    await cachedClient.connect();
+    log.info('Connected');
+  }
+
+  cachedDb = cachedClient.db(process.env.MONGODB_DB || undefined);
+  return cachedDb;
+}
+
+const indexesReady = new Map();
+
+/**
+ * Get a collection, creating its indexes on first use
+ * Each index is [keys, options] as passed to createIndex; a failed attempt
+ * is retried on the next call
+ */
+export async function getIndexedCollection(name, indexes) {
+  const db = await getMongoDb();
+  const collection = db.collection(name);
+
+  if (!indexesReady.has(name)) {
+    indexesReady.set(name, Promise.all(
+      indexes.map(([keys, options]) => collection.createIndex(keys, options))
+    ).catch((error) => {
+      indexesReady.delete(name);
+      throw error;
+    }));
+  }
+  await indexesReady.get(name);
+
+  return collection;
+}
@@ -0,0 +1,156 @@
+/**
+ * Spoken Email Capture
+ * Turns emails as they arrive from voice transcripts ("john dot smith at
+ * gmail dot com") into addresses, checks their syntax and spots likely typos
+ * in well-known domains (gmial.com) so the agent can confirm them with the
+ * caller before sending an invite.
+ */
+
+// Spoken words for the symbols in an email address, longest phrases first
+const SPOKEN_SYMBOLS = [
+  [/\bat the rate( of)?\b/g, '@'],
+  [/\bat sign\b/g, '@'],
+  [/\bat symbol\b/g, '@'],
+  [/\bat\b/g, '@'],
+  [/\b(dot|period|point)\b/g, '.'],
+  [/\bunderscore\b/g, '_'],
+  [/\b(dash|hyphen|minus)\b/g, '-'],
+  [/\bplus\b/g, '+'],
+];
+
+// Domains callers commonly mean, used to spot typos
+const COMMON_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com',
+  'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com',
+  'aol.com', 'protonmail.com', 'proton.me', 'gmx.com', 'mail.com',
+  'yandex.com', 'zoho.com', 'comcast.net', 'verizon.net', 'att.net',
+  'yahoo.co.uk', 'hotmail.co.uk', 'btinternet.com',
+];
+
+// Misspelled top-level domains and what they usually are
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', comm: 'com', cm: 'com', om: 'com', vom: 'com', xom: 'com',
+  nte: 'net', ner: 'net', nett: 'net',
+  ogr: 'org', orgg: 'org',
+};
+
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Turn a spoken or transcribed email into an address
+ * Symbol words become symbols and the spaces between spelled-out letters
+ * are dropped; an already written address passes through lowercased
+ */
+export function normalizeSpokenEmail(value) {
+  let email = String(value || '').trim().toLowerCase();
+
+  if (/\s/.test(email)) {
+    for (const [pattern, symbol] of SPOKEN_SYMBOLS) {
+      email = email.replace(pattern, ` ${symbol} `);
+    }
+    email = email.replace(/\s+/g, '');
+  }
+
+  // Transcripts end sentences with punctuation and sometimes wrap the address
+  return email.replace(/^[<("']+|[>)"'.,;:!?]+$/g, '');
+}
+
+/**
+ * Check an address's syntax
+ */
+export function isValidEmail(email) {
+  return email.length <= 254 && EMAIL_PATTERN.test(email) && email.split('@')[0].length <= 64;
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring
+ * characters as one edit
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Suggest the domain a caller probably meant (null if it looks right)
+ */
+export function suggestDomain(domain) {
+  if (COMMON_DOMAINS.includes(domain)) {
+    return null;
+  }
+
+  const labels = domain.split('.');
+  const tld = labels[labels.length - 1];
+  const fixedTld = TLD_TYPOS[tld] ? [...labels.slice(0, -1), TLD_TYPOS[tld]].join('.') : domain;
+
+  // Short domains need a closer match to avoid "correcting" real ones
+  const maxDistance = domain.length < 10 ? 1 : 2;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of COMMON_DOMAINS) {
+    const distance = editDistance(fixedTld, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  if (bestDistance <= maxDistance) {
+    return best;
+  }
+  return fixedTld !== domain ? fixedTld : null;
+}
+
+// Messages (see i18n.js) naming the symbols when an address is read back
+const SYMBOL_WORDS = {
+  '@': 'email.spoken.at',
+  '.': 'email.spoken.dot',
+  '_': 'email.spoken.underscore',
+  '-': 'email.spoken.dash',
+  '+': 'email.spoken.plus',
+};
+
+/**
+ * Read an address the way the agent should say it back, in the call's
+ * language ("john dot smith at gmail dot com")
+ */
+export function speakEmail(email, i18n) {
+  return email
+    .replace(/[@._+-]/g, (symbol) => ` ${i18n.t(SYMBOL_WORDS[symbol])} `)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check an attendee email given on a call
+ * Returns { status, email, suggestion } where status is 'valid', 'invalid'
+ * (not an address) or 'doubtful' (suggestion holds the likely address)
+ */
+export function checkSpokenEmail(value) {
+  const email = normalizeSpokenEmail(value);
+
+  if (!isValidEmail(email)) {
+    return { status: 'invalid', email, suggestion: null };
+  }
+
+  const [localPart, domain] = email.split('@');
+  const suggestedDomain = suggestDomain(domain);
+
+  if (suggestedDomain) {
+    return { status: 'doubtful', email, suggestion: `${localPart}@${suggestedDomain}` };
+  }
+
+  return { status: 'valid', email, suggestion: null };
+}
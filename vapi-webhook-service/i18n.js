@@ -0,0 +1,112 @@
+/**
+ * Spoken Messages
+ * Everything the agent is told to say comes from a message catalog per
+ * language (locales/), picked per call: the call's `locale` variable, else
+ * the host's `calendar_settings.locale`, else English. Hosts can replace
+ * individual phrases with `calendar_settings.messages`, keyed by locale or
+ * language and then by message key:
+ *
+ *   { "en": { "booking.confirmed": "Lovely, you're booked for {when}." } }
+ *
+ * Messages use {placeholders}. Date values fill them as a spoken day
+ * ("Tuesday, March 4") in the call's language.
+ */
+
+import { getCalendarSettings } from './settings.js';
+import { en } from './locales/en.js';
+import { ar } from './locales/ar.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Messages');
+
+const CATALOGS = { en, ar };
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Pick the first supported locale (e.g. "ar-AE", "en") from the candidates
+ */
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate || typeof candidate !== 'string') continue;
+
+    try {
+      const [locale] = Intl.getCanonicalLocales(candidate.replace(/_/g, '-'));
+      if (CATALOGS[locale.split('-')[0]]) {
+        return locale;
+      }
+    } catch {
+      // Not a language tag; try the next candidate
+    }
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Get a host's phrase overrides for a locale, more specific tags winning
+ * ("ar-AE" over "ar"); values that aren't strings are ignored
+ */
+function getOverrides(messages, locale) {
+  const language = locale.split('-')[0];
+  const overrides = {};
+
+  for (const phrases of [messages?.[language], messages?.[locale]]) {
+    for (const [key, value] of Object.entries(phrases || {})) {
+      if (typeof value === 'string') {
+        overrides[key] = value;
+      } else {
+        log.warn('Ignoring non-text override', { key });
+      }
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Create a translator for a locale
+ * Returns { locale, language, t, has, count, list }:
+ * - t(key, values) fills a message (missing keys fall back to English)
+ * - count(key, n, values) picks the plural form `${key}.${category}`
+ * - list(items, type) joins items as "A, B, or C" ('or') or "A, B, and C" ('and')
+ */
+export function createTranslator(locale = DEFAULT_LOCALE, messages = {}) {
+  const language = locale.split('-')[0];
+  const catalog = { ...CATALOGS.en, ...CATALOGS[language], ...getOverrides(messages, locale) };
+  const pluralRules = new Intl.PluralRules(locale);
+  const dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+  const format = (value) => (value instanceof Date ? dayFormat.format(value) : String(value ?? ''));
+
+  const t = (key, values = {}) => {
+    if (!(key in catalog)) {
+      log.warn('No message', { key });
+      return key;
+    }
+    return catalog[key].replace(/\{(\w+)\}/g, (match, name) => format(values[name]));
+  };
+
+  return {
+    locale,
+    language,
+    t,
+    has: (key) => key in catalog,
+    count: (key, n, values = {}) => {
+      const form = `${key}.${pluralRules.select(n)}`;
+      return t(form in catalog ? form : `${key}.other`, { count: n, ...values });
+    },
+    list: (items, type = 'or') =>
+      new Intl.ListFormat(locale, { type: type === 'and' ? 'conjunction' : 'disjunction' }).format(items),
+  };
+}
+
+/**
+ * Get the translator for a host's call
+ * requestedLocale comes from the call; the host's settings supply the
+ * fallback locale and their phrase overrides
+ */
+export async function getTranslator(userId, requestedLocale) {
+  const settings = await getCalendarSettings(userId);
+  return createTranslator(resolveLocale(requestedLocale, settings.locale), settings.messages);
+}
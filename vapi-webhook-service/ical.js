@@ -0,0 +1,561 @@
+/**
+ * iCalendar Utilities
+ * A minimal RFC 5545 reader and writer, covering what busy-time checks and
+ * agent bookings need: VEVENT times (UTC, TZID, floating and all-day),
+ * DURATION, STATUS/TRANSP, and recurrence via RRULE (DAILY, WEEKLY, MONTHLY,
+ * YEARLY with INTERVAL, COUNT, UNTIL, BYDAY and BYMONTHDAY), EXDATE and
+ * RECURRENCE-ID overrides.
+ */
+
+import { isValidTimeZone, zonedTimeToUtc } from './timezone-utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on the recurrences of one event inside a queried range
+const MAX_RECURRENCES = 10000;
+
+/**
+ * Split iCalendar text into unfolded content lines
+ */
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(Boolean);
+}
+
+/**
+ * Parse a content line into { name, params, value }
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, split).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+/**
+ * Unescape a TEXT value
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+  return String(value).replace(/([\\;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into its wall-clock parts
+ * Returns { year, month, day, hours, minutes, seconds, allDay, utc }
+ */
+function parseDateValue(value, params) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hours: Number(hours || 0),
+    minutes: Number(minutes || 0),
+    seconds: Number(seconds || 0),
+    allDay: params.VALUE === 'DATE' || hours === undefined,
+    utc: utc === 'Z',
+  };
+}
+
+/**
+ * Convert wall-clock parts to an instant
+ * UTC values are absolute; TZID and floating values (and all-day dates) are
+ * read in their zone, falling back to defaultTimezone for unknown zone names
+ */
+function partsToDate(parts, timezone, defaultTimezone) {
+  if (parts.utc) {
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds));
+  }
+  const zone = isValidTimeZone(timezone) ? timezone : defaultTimezone;
+  return zonedTimeToUtc(parts, zone);
+}
+
+/**
+ * Parse a DURATION value (e.g. PT1H30M, P1D, P2W) into milliseconds
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 60 * 60 +
+    Number(hours || 0) * 60 * 60 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse an RRULE value into its parts
+ */
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, ruleValue] = part.split('=');
+    rule[key.toUpperCase()] = ruleValue;
+  }
+
+  return {
+    freq: rule.FREQ,
+    interval: Number(rule.INTERVAL || 1),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL || null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map((day) => {
+        const [, ordinal, code] = /^([+-]?\d+)?([A-Z]{2})$/.exec(day.trim()) || [];
+        return { ordinal: ordinal ? Number(ordinal) : null, weekday: WEEKDAY_CODES.indexOf(code) };
+      }).filter((day) => day.weekday !== -1)
+      : [],
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : [],
+  };
+}
+
+/**
+ * Parse the VEVENTs in an iCalendar document
+ * Times are resolved to instants; floating times use defaultTimezone
+ */
+export function parseICalendar(text, defaultTimezone = 'UTC') {
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const line of unfoldLines(text)) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [] };
+        depth = 0;
+      } else if (current) {
+        // Nested components (VALARM) are skipped
+        depth++;
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (current && depth > 0) {
+        depth--;
+      } else if (current && property.value.toUpperCase() === 'VEVENT') {
+        if (current.start) {
+          events.push(finishEvent(current));
+        }
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current || depth > 0) continue;
+
+    const { name, params, value } = property;
+
+    switch (name) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'STATUS':
+        current.status = value.toUpperCase();
+        break;
+      case 'TRANSP':
+        current.transp = value.toUpperCase();
+        break;
+      case 'DTSTART':
+      case 'DTEND':
+      case 'RECURRENCE-ID': {
+        const parts = parseDateValue(value, params);
+        if (!parts) break;
+        const date = partsToDate(parts, params.TZID, defaultTimezone);
+        if (name === 'DTSTART') {
+          current.start = date;
+          current.startParts = parts;
+          current.timezone = parts.utc ? 'UTC' : (isValidTimeZone(params.TZID) ? params.TZID : defaultTimezone);
+          current.allDay = parts.allDay;
+        } else if (name === 'DTEND') {
+          current.end = date;
+        } else {
+          current.recurrenceId = date;
+        }
+        break;
+      }
+      case 'DURATION':
+        current.duration = parseDuration(value);
+        break;
+      case 'RRULE':
+        current.rule = parseRule(value);
+        break;
+      case 'EXDATE':
+        for (const item of value.split(',')) {
+          const parts = parseDateValue(item, params);
+          if (parts) current.exdates.push(partsToDate(parts, params.TZID, defaultTimezone).getTime());
+        }
+        break;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Fill in an event's end from DURATION (or the RFC 5545 defaults)
+ */
+function finishEvent(event) {
+  let end = event.end;
+  if (!end) {
+    const duration = event.duration ?? (event.allDay ? DAY_MS : 0);
+    end = new Date(event.start.getTime() + duration);
+  }
+
+  return {
+    uid: event.uid || null,
+    summary: event.summary || null,
+    status: event.status || 'CONFIRMED',
+    transp: event.transp || 'OPAQUE',
+    allDay: Boolean(event.allDay),
+    start: event.start,
+    end,
+    startParts: event.startParts,
+    timezone: event.timezone,
+    rule: event.rule || null,
+    exdates: event.exdates,
+    recurrenceId: event.recurrenceId || null,
+  };
+}
+
+/**
+ * Add days to wall-clock parts, normalizing month/year overflow
+ */
+function addDays(parts, days) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return { ...parts, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Weekday (0 = Sunday) of wall-clock parts
+ */
+function weekdayOf(parts) {
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+}
+
+/**
+ * Number of days in a month (month is 1-based)
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Get the days of a month matched by BYDAY/BYMONTHDAY, in order
+ */
+function monthDays(year, month, rule, startParts) {
+  const length = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map((day) => (day < 0 ? length + day + 1 : day));
+  } else if (rule.byDay.length > 0) {
+    days = [];
+    for (const { ordinal, weekday } of rule.byDay) {
+      const matching = [];
+      for (let day = 1; day <= length; day++) {
+        if (weekdayOf({ year, month, day }) === weekday) matching.push(day);
+      }
+      if (ordinal == null) {
+        days.push(...matching);
+      } else {
+        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (day) days.push(day);
+      }
+    }
+  } else {
+    days = [startParts.day];
+  }
+
+  return [...new Set(days)].filter((day) => day >= 1 && day <= length).sort((a, b) => a - b);
+}
+
+/**
+ * Generate the wall-clock start of each recurrence, in order, until the
+ * rule's periods (days, weeks, months or years) begin after rangeEnd
+ * Stopping by period rather than by recurrence also ends rules that never
+ * produce a day (e.g. every February 30th).
+ */
+function* recurrenceStarts(event, rangeEnd) {
+  const { rule, startParts } = event;
+  const start = { ...startParts };
+  // Wall-clock parts are compared as UTC, with a day's slack for the offset
+  const pastRange = (parts) => Date.UTC(parts.year, parts.month - 1, parts.day) > rangeEnd.getTime() + DAY_MS;
+
+  if (rule.freq === 'DAILY') {
+    for (let day = start; !pastRange(day); day = addDays(day, rule.interval)) yield day;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map((day) => day.weekday) : [weekdayOf(start)];
+    // Weeks are counted from the Monday on or before the first occurrence
+    const weekStart = addDays(start, -((weekdayOf(start) + 6) % 7));
+    for (let week = 0; ; week++) {
+      const monday = addDays(weekStart, week * 7 * rule.interval);
+      if (pastRange(monday)) break;
+      for (let offset = 0; offset < 7; offset++) {
+        const day = addDays(monday, offset);
+        if (weekdays.includes(weekdayOf(day))) yield day;
+      }
+    }
+  }
+
+  if (rule.freq === 'MONTHLY' || rule.freq === 'YEARLY') {
+    const stepMonths = rule.freq === 'MONTHLY' ? rule.interval : rule.interval * 12;
+    for (let i = 0; ; i++) {
+      const monthIndex = start.month - 1 + i * stepMonths;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      if (pastRange({ year, month, day: 1 })) break;
+      for (const day of monthDays(year, month, rule, start)) {
+        yield { ...start, year, month, day };
+      }
+    }
+  }
+}
+
+/**
+ * Expand events into the occurrences that overlap [rangeStart, rangeEnd)
+ * Recurring events are expanded in their own time zone, so they keep their
+ * wall-clock time across DST changes. Returns
+ * [{ uid, summary, status, transp, allDay, start, end }]
+ */
+export function expandEvents(events, rangeStart, rangeEnd) {
+  const occurrences = [];
+  const overrides = new Map();
+
+  for (const event of events) {
+    if (event.recurrenceId) {
+      overrides.set(`${event.uid}:${event.recurrenceId.getTime()}`, true);
+    }
+  }
+
+  const overlaps = (start, end) => start < rangeEnd && end > rangeStart;
+  const toOccurrence = (event, start, end) => ({
+    uid: event.uid,
+    summary: event.summary,
+    status: event.status,
+    transp: event.transp,
+    allDay: event.allDay,
+    start,
+    end,
+  });
+
+  for (const event of events) {
+    if (!event.rule || event.recurrenceId) {
+      if (overlaps(event.start, event.end)) {
+        occurrences.push(toOccurrence(event, event.start, event.end));
+      }
+      continue;
+    }
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(event.rule.freq)) {
+      // Unsupported frequency: treat the first instance as the only one
+      if (overlaps(event.start, event.end)) {
+        occurrences.push(toOccurrence(event, event.start, event.end));
+      }
+      continue;
+    }
+
+    const duration = event.end.getTime() - event.start.getTime();
+    const untilParts = event.rule.until ? parseDateValue(event.rule.until, {}) : null;
+    // A DATE-only UNTIL includes that whole day
+    const until = !untilParts ? null : untilParts.allDay
+      ? new Date(partsToDate(addDays(untilParts, 1), event.timezone, event.timezone).getTime() - 1)
+      : partsToDate(untilParts, event.timezone, event.timezone);
+    // COUNT counts from DTSTART; the MAX_RECURRENCES cap only counts
+    // occurrences in the range, so old events still reach it
+    let generated = 0;
+    let inRange = 0;
+
+    for (const parts of recurrenceStarts(event, rangeEnd)) {
+      const start = event.startParts.utc
+        ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds))
+        : zonedTimeToUtc(parts, event.timezone);
+
+      // BYDAY/BYMONTHDAY can produce days before DTSTART in its first period
+      if (start < event.start) continue;
+      if (until && start > until) break;
+      if (start >= rangeEnd) break;
+      if (event.rule.count != null && ++generated > event.rule.count) break;
+
+      const end = new Date(start.getTime() + duration);
+      if (event.exdates.includes(start.getTime())) continue;
+      if (overrides.has(`${event.uid}:${start.getTime()}`)) continue;
+      if (overlaps(start, end)) {
+        if (++inRange > MAX_RECURRENCES) break;
+        occurrences.push(toOccurrence(event, start, end));
+      }
+    }
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME value
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line to 75 octets
+ */
+function foldLine(line) {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = ' ' + rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n');
+}
+
+/**
+ * Build the VALARM lines for a reminder
+ * Email reminders go to the organizer, so without one they become display alarms
+ */
+function alarmLines({ method, minutes }, title, organizer) {
+  const lines = ['BEGIN:VALARM', `TRIGGER:-PT${minutes}M`];
+
+  if (method === 'email' && organizer) {
+    lines.push('ACTION:EMAIL', `SUMMARY:${escapeText(title || '')}`, `DESCRIPTION:${escapeText(title || '')}`, `ATTENDEE:mailto:${organizer}`);
+  } else {
+    lines.push('ACTION:DISPLAY', `DESCRIPTION:${escapeText(title || '')}`);
+  }
+
+  lines.push('END:VALARM');
+  return lines;
+}
+
+/**
+ * Build an iCalendar document holding one event
+ * attendees are email addresses; organizer is an optional email address.
+ * visibility ('public', 'private' or 'confidential') sets the event's CLASS
+ * and reminders ([{ method, minutes }]) become alarms.
+ */
+export function buildICalendarEvent({ uid, title, description, location, start, end, organizer, attendees = [], properties = {}, sequence = 0, visibility = null, reminders = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//vapi-webhook-service//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(title || '')}`,
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (organizer) lines.push(`ORGANIZER:mailto:${organizer}`);
+  for (const email of attendees) {
+    lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${email}`);
+  }
+  for (const [name, value] of Object.entries(properties)) {
+    lines.push(`X-VAPI-${name.replace(/[^A-Za-z0-9]/g, '-').toUpperCase()}:${escapeText(value)}`);
+  }
+  if (visibility && visibility !== 'default') lines.push(`CLASS:${visibility.toUpperCase()}`);
+  for (const reminder of reminders) {
+    lines.push(...alarmLines(reminder, title, organizer));
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Move the (single, non-recurring) event in an iCalendar document to new
+ * times, bumping its SEQUENCE so attendees' clients accept the update
+ */
+export function rescheduleICalendarEvent(text, start, end) {
+  const lines = unfoldLines(text);
+  let inEvent = false;
+  let depth = 0;
+  let sequence = null;
+  let wroteEnd = false;
+  const output = [];
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    const name = property?.name;
+
+    if (name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      inEvent = true;
+    } else if (inEvent && name === 'BEGIN') {
+      depth++;
+    } else if (inEvent && name === 'END' && depth > 0) {
+      depth--;
+    } else if (inEvent && name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      // Events timed with DURATION get an explicit DTEND instead
+      if (!wroteEnd) output.push(`DTEND:${formatUtc(end)}`);
+      output.push(`SEQUENCE:${(sequence ?? 0) + 1}`);
+      inEvent = false;
+    } else if (inEvent && depth === 0) {
+      if (name === 'DTSTART') {
+        output.push(`DTSTART:${formatUtc(start)}`);
+        continue;
+      }
+      if (name === 'DTEND') {
+        output.push(`DTEND:${formatUtc(end)}`);
+        wroteEnd = true;
+        continue;
+      }
+      if (name === 'DURATION') {
+        continue;
+      }
+      if (name === 'SEQUENCE') {
+        sequence = Number(property.value) || 0;
+        continue;
+      }
+    }
+
+    output.push(line);
+  }
+
+  return output.map(foldLine).join('\r\n') + '\r\n';
+}
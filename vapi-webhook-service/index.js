@@ -1,11 +1,21 @@
 import express from 'express';
 import { handleVAPICalendarWebhook } from './webhook-handler.js';
+import { requireVapiAuth } from './auth.js';
+import { getVapiToolDefinitions } from './tool-schemas.js';
+import { createLogger } from './logger.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const log = createLogger('Server');
 
-// Middleware
-app.use(express.json());
+// Middleware (keeps the raw body for webhook signature checks).
+// End-of-call reports carry the whole transcript, so allow larger bodies
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Health check
 app.get('/', (req, res) => {
@@ -17,12 +27,28 @@ app.get('/health', (req, res) => {
 });
 
 // VAPI webhook endpoint
-app.post('/api/vapi/calendar', handleVAPICalendarWebhook);
+app.post('/api/vapi/calendar', requireVapiAuth, handleVAPICalendarWebhook);
+
+// VAPI tool definitions for the assistant, calling the webhook endpoint
+app.get('/api/vapi/tools', (req, res) => {
+  res.json({ tools: getVapiToolDefinitions(getWebhookUrl(req)) });
+});
+
+/**
+ * Public URL of the webhook endpoint (PUBLIC_URL, else the request's host)
+ */
+function getWebhookUrl(req) {
+  const baseUrl = process.env.PUBLIC_URL ||
+    `${req.headers['x-forwarded-proto'] || req.protocol}://${req.headers['x-forwarded-host'] || req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/api/vapi/calendar`;
+}
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`VAPI Webhook Service running on port ${PORT}`);
-  console.log(`Webhook endpoint: http://localhost:${PORT}/api/vapi/calendar`);
+  log.info(`VAPI Webhook Service running on port ${PORT}`, {
+    webhook: `http://localhost:${PORT}/api/vapi/calendar`,
+    tools: `http://localhost:${PORT}/api/vapi/tools`
+  });
 });
 
 export default app;
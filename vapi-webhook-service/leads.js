@@ -0,0 +1,87 @@
+/**
+ * Lead Records
+ * Everyone the agent books a meeting for is kept in the `leads` collection,
+ * one document per person per host, matched by email and then by phone
+ * number. The intake answers gathered on the call are stored on the lead so
+ * the main application can show who they are; their meetings are the
+ * bookings that carry the lead's id.
+ */
+
+import { getIndexedCollection } from './db.js';
+import { normalizeEmail, normalizePhone } from './bookings.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Leads');
+
+/**
+ * Get the leads collection, creating its indexes on first use
+ */
+function getLeadsCollection() {
+  return getIndexedCollection('leads', [
+    [
+      { userId: 1, email: 1 },
+      { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+    ],
+    [{ userId: 1, phone: 1 }],
+    [{ userId: 1, lastBookedAt: -1 }],
+  ]);
+}
+
+/**
+ * Make an intake key safe to use in a MongoDB field path
+ */
+function intakeFieldName(key) {
+  return String(key).replace(/[.$]/g, '_');
+}
+
+/**
+ * Create or update the lead for a booking and return its id
+ * intake is the list of answers ({ key, label, value }) given on the call;
+ * newer answers replace older ones, other stored answers are kept
+ */
+export async function upsertLead(userId, leadInfo, { intake = [], meetingType = null, callId = null, bookedBy = 'ai_call' } = {}) {
+  const collection = await getLeadsCollection();
+  const email = normalizeEmail(leadInfo.email) || null;
+  const phone = normalizePhone(leadInfo.phone) || null;
+  const now = new Date();
+
+  if (!email && !phone) {
+    throw new Error("A lead needs an email address or phone number");
+  }
+
+  const $set = { updatedAt: now, lastBookedAt: now };
+  if (leadInfo.name) $set.name = leadInfo.name;
+  if (phone) $set.phone = phone;
+  if (meetingType) $set.lastMeetingType = meetingType;
+  if (callId) $set.lastCallId = callId;
+  for (const answer of intake) {
+    $set[`intake.${intakeFieldName(answer.key)}`] = answer.value;
+  }
+  const company = intake.find((answer) => answer.key === 'companyName')?.value;
+  if (company) $set.company = company;
+
+  // A lead first seen by phone gets the email address it now books with
+  const existing = (email && await collection.findOne({ userId, email })) ||
+    (phone && await collection.findOne({ userId, phone }));
+
+  if (existing) {
+    await collection.updateOne(
+      { _id: existing._id },
+      { $set: { ...$set, ...(email && !existing.email && { email }) } }
+    );
+    log.info('Updated lead', { leadId: existing._id, userId });
+    return existing._id.toString();
+  }
+
+  const stored = await collection.findOneAndUpdate(
+    email ? { userId, email } : { userId, phone },
+    {
+      $set,
+      $setOnInsert: { source: bookedBy, createdAt: now },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  log.info('Recorded lead', { leadId: stored._id, userId });
+
+  return stored._id.toString();
+}
@@ -0,0 +1,160 @@
+/**
+ * Arabic messages (Modern Standard Arabic)
+ */
+
+export const ar = {
+  // Calls and errors
+  'call.notSetUp': 'عذرًا، هذا الرقم غير مهيأ لاستقبال المكالمات بعد.',
+  'call.unavailable': 'عذرًا، لا يمكننا استقبال مكالمتك الآن. يرجى المحاولة لاحقًا.',
+  'errors.noHost': 'لا أستطيع الوصول إلى التقويم الآن. يرجى التواصل مع الدعم.',
+  'errors.generic': 'أعتذر، حدث خطأ أثناء التحقق من التقويم. يرجى المحاولة مرة أخرى أو التواصل مع الدعم.',
+  'common.askTimezone': 'لم أتمكن من معرفة منطقتك الزمنية. هل يمكنك إخباري بمدينتك أو منطقتك الزمنية؟',
+  'common.stillWorking': 'ما زلت أعمل على ذلك. لحظة من فضلك.',
+
+  // Tool arguments
+  'prompts.badArguments': 'عذرًا، لم أفهم التفاصيل. هل يمكنك إعادتها؟',
+  'prompts.invalid': 'عذرًا، لم أفهم ذلك تمامًا. {question}',
+  'prompts.default': 'هل يمكنك تكرار ذلك؟',
+  'prompts.date': 'أي يوم تفضل؟',
+  'prompts.time': 'في أي وقت تفضل؟',
+  'prompts.timezone': 'ما هي منطقتك الزمنية؟',
+  'prompts.duration_minutes': 'كم يجب أن تكون مدة الاجتماع؟',
+  'prompts.endTime': 'متى يجب أن ينتهي الاجتماع؟',
+  'prompts.leadName': 'هل يمكنني الحصول على اسمك الكامل؟',
+  'prompts.leadEmail': 'ما هو أفضل بريد إلكتروني لإرسال الدعوة إليه؟',
+  'prompts.leadPhone': 'ما هو أفضل رقم هاتف للتواصل معك؟',
+  'prompts.original_date': 'في أي يوم الاجتماع الذي تريد تغييره؟',
+  'prompts.original_time': 'في أي وقت الاجتماع الذي تريد تغييره؟',
+  'prompts.meetingType': 'ما نوع الاجتماع الذي تريده؟',
+  'prompts.emailConfirmed': 'هل عنوان البريد الإلكتروني هذا صحيح؟',
+  'prompts.companyName': 'ما هي الشركة التي تعمل بها؟',
+  'prompts.reason': 'ما موضوع الاجتماع؟',
+  'prompts.check_calendar_availability.date': 'أي يوم تريد أن أتحقق منه؟',
+  'prompts.check_calendar_availability.time': 'أي وقت تريد أن أتحقق منه؟',
+  'prompts.find_available_slots.date': 'أي يوم تريد أن أبحث فيه؟',
+  'prompts.find_available_slots.end_date': 'حتى أي يوم أبحث؟',
+  'prompts.book_calendar_meeting.date': 'في أي يوم تريد الحجز؟',
+  'prompts.book_calendar_meeting.time': 'في أي وقت تريد الحجز؟',
+  'prompts.reschedule_calendar_meeting.date': 'إلى أي يوم تريد نقل اجتماعك؟',
+  'prompts.reschedule_calendar_meeting.time': 'إلى أي وقت تريد نقل اجتماعك؟',
+
+  // Dates, times and durations the caller gave
+  'dates.ask': 'أي يوم تفضل؟ مثلًا غدًا أو الثلاثاء القادم أو 21 أكتوبر.',
+  'dates.unclear': 'عذرًا، أي يوم تقصد؟ مثلًا غدًا أو الثلاثاء القادم أو 21 أكتوبر.',
+  'dates.invalid': 'هذا التاريخ غير موجود. أي يوم تقصد؟ مثلًا غدًا أو الثلاثاء القادم أو 21 أكتوبر.',
+  'dates.eitherDay': 'للتأكد فقط، هل تقصد {first} أم {second}؟',
+  'dates.todayOrNextWeek': 'هل تقصد اليوم أم {later}؟',
+  'dates.whichDayOf': 'أي يوم {period} يناسبك؟',
+  'dates.past': 'لقد مضى هذا الوقت بالفعل. ما اليوم أو الوقت اللاحق الذي يناسبك؟',
+  'times.ask': 'في أي وقت تفضل؟ مثلًا العاشرة صباحًا أو الثالثة والنصف عصرًا.',
+  'times.unclear': 'عذرًا، أي وقت تقصد؟ مثلًا العاشرة صباحًا أو الثالثة والنصف عصرًا.',
+  'durations.ask': 'كم يجب أن تكون مدة الاجتماع؟',
+  'durations.invalid': 'كم يجب أن تكون مدة الاجتماع؟ مثلًا 30 دقيقة أو ساعة.',
+
+  // Spoken lengths of time
+  'duration.days.one': 'يوم واحد',
+  'duration.days.two': 'يومين',
+  'duration.days.few': '{count} أيام',
+  'duration.days.many': '{count} يومًا',
+  'duration.days.other': '{count} يوم',
+  'duration.hours.one': 'ساعة',
+  'duration.hours.two': 'ساعتين',
+  'duration.hours.few': '{count} ساعات',
+  'duration.hours.many': '{count} ساعة',
+  'duration.hours.other': '{count} ساعة',
+  'duration.minutes.one': 'دقيقة',
+  'duration.minutes.two': 'دقيقتين',
+  'duration.minutes.few': '{count} دقائق',
+  'duration.minutes.many': '{count} دقيقة',
+  'duration.minutes.other': '{count} دقيقة',
+
+  // Times and open windows
+  'slot.dayAtTime': '{day} الساعة {time}',
+  'availability.between': 'بين {start} و{end}',
+  'availability.after': 'بعد {start}',
+  'availability.dayWindow': '{day} {window}',
+  'availability.dayMorningWindow': '{day} صباحًا {window}',
+  'availability.dayInTheMorningWindow': '{day} صباحًا {window}',
+  'availability.windowSeparator': '، أو ',
+  'availability.daySeparator': '؛ و',
+  'availability.laterDays': '{summary}؛ وفي أيام لاحقة أيضًا',
+
+  // Why a time can't be booked
+  'refusal.busy': 'يوجد موعد آخر في هذا الوقت.',
+  'refusal.conflict': 'يوجد بالفعل {titles} في هذا الوقت.',
+  'refusal.anotherMeeting': 'اجتماع آخر',
+  'refusal.buffer': 'هذا الوقت قريب جدًا من اجتماع آخر في التقويم.',
+  'refusal.minimumNotice': 'هذا الموعد قريب جدًا. يجب حجز الاجتماعات قبل {notice} على الأقل.',
+  'refusal.tooFarAhead': 'لا يمكنني حجز الاجتماعات إلا قبل {ahead} كحد أقصى.',
+  'refusal.closedThatDay': 'لا نستقبل اجتماعات في ذلك اليوم.',
+  'refusal.outsideHours': 'هذا خارج أوقات اجتماعاتنا. في ذلك اليوم نحن متاحون من {hours}.',
+  'refusal.hoursRange': '{start} إلى {end}',
+  'refusal.dailyLimit': 'التقويم محجوز بالكامل في ذلك اليوم.',
+  'refusal.slotHeld': 'تم حجز هذا الوقت للتو في حجز آخر.',
+  'refusal.taken': 'هذا الوقت محجوز.',
+
+  // check_calendar_availability
+  'check.available': 'رائع! {when} متاح. هل تريد حجز هذا الموعد؟',
+  'check.unavailable': 'للأسف، {when} غير متاح. {reason} {followUp}',
+  'check.suggestions': 'أقرب الأوقات المتاحة هي {times}. هل يناسبك أي منها؟',
+  'check.askOtherTime': 'هل يمكنك اقتراح وقت آخر يناسبك؟',
+  'check.error': 'أواجه مشكلة في التحقق من التقويم الآن. هل يمكنك تجربة وقت آخر؟',
+
+  // find_available_slots
+  'slots.tooManyDays': 'يمكنني البحث في {range} كحد أقصى في كل مرة. أي أيام تريد أن أتحقق منها؟',
+  'slots.pastDate': 'لقد مضى هذا التاريخ بالفعل. أي يوم قادم تريد أن أتحقق منه؟',
+  'slots.noneThatDay': 'لا توجد لدي مواعيد متاحة في ذلك اليوم. هل يناسبك يوم آخر؟',
+  'slots.noneInRange': 'لا توجد لدي مواعيد متاحة في تلك الفترة. هل يناسبك يوم آخر؟',
+  'slots.openings': 'لدي مواعيد متاحة {summary}. ما الذي يناسبك أكثر؟',
+  'slots.error': 'أواجه مشكلة في التحقق من التقويم الآن. هل يمكنك إخباري بوقت محدد يناسبك؟',
+
+  // Meeting types
+  'meetingTypes.option': '{name} ({duration})',
+  'meetingTypes.ask': 'ما نوع الاجتماع الذي تريده: {options}؟',
+
+  // Attendee emails
+  'email.spellOut': 'لم ألتقط عنوان بريدك الإلكتروني جيدًا. هل يمكنك تهجئته لي؟',
+  'email.confirm': 'يرجى تأكيد بريدك الإلكتروني: لدي {heard}. هل تقصد {suggestion}؟',
+  'email.spoken.at': 'آت',
+  'email.spoken.dot': 'دوت',
+  'email.spoken.underscore': 'شرطة سفلية',
+  'email.spoken.dash': 'شرطة',
+  'email.spoken.plus': 'زائد',
+
+  // book_calendar_meeting
+  'booking.askIntake': 'قبل أن أحجز ذلك، هل يمكنك إخباري بـ{field}؟',
+  'booking.confirmed': 'ممتاز! لقد حجزت لك {when}.',
+  'booking.inviteSent': 'ستصلك دعوة التقويم على {email} قريبًا.',
+  'booking.refused': 'لم أتمكن من حجز هذا الوقت. {reason} هل يمكننا تجربة وقت آخر؟',
+  'booking.failedTryAgain': 'لم أتمكن من حجز هذا الوقت. يرجى تجربة وقت آخر.',
+  'booking.error': 'حدث خطأ أثناء حجز الاجتماع. دعني أحولك إلى شخص يمكنه المساعدة.',
+
+  // How a booked meeting takes place
+  'conference.google-meet': 'الاجتماع مكالمة فيديو عبر Google Meet، والرابط موجود في الدعوة.',
+  'conference.zoom': 'الاجتماع مكالمة عبر Zoom، والرابط موجود في الدعوة.',
+  'conference.link': 'الاجتماع مكالمة عبر {label}، والرابط موجود في الدعوة.',
+  'conference.onlineMeeting': 'الاجتماع عبر الإنترنت، والرابط موجود في الدعوة.',
+  'conference.phone': 'الاجتماع مكالمة هاتفية: فقط اتصل بالرقم {phone} في موعد الاجتماع.',
+  'conference.location': 'الاجتماع حضوري في {location}.',
+
+  // Finding the caller's booking
+  'lookup.askEmail': 'هل يمكنك إخباري بعنوان البريد الإلكتروني الذي استخدمته عند الحجز؟',
+  'lookup.notFoundByEmail': 'لم أجد اجتماعًا قادمًا بهذه التفاصيل. هل يمكنك التحقق من البريد الإلكتروني أو تاريخ الاجتماع؟',
+  'lookup.notFoundByPhone': 'لم أجد اجتماعًا قادمًا محجوزًا من هذا الرقم. ما البريد الإلكتروني الذي حجزت به؟',
+  'lookup.several': 'وجدت {count} من الاجتماعات القادمة: {options}. أيها تقصد؟',
+  'lookup.verifyIdentity': 'للتأكد من أنه اجتماعك، هل يمكنك إخباري بالاسم الذي حُجز به الاجتماع وبيومه ووقته؟',
+  'lookup.notVerified': 'عذرًا، لم أتمكن من مطابقة هذه التفاصيل مع اجتماع قادم. هل يمكنك التحقق من الاسم والوقت المحجوز؟',
+
+  // reschedule_calendar_meeting
+  'reschedule.done': 'تم! نقلت اجتماعك من {from} إلى {to}. ستصلك دعوة تقويم محدثة قريبًا.',
+  'reschedule.refused': 'لا يمكنني نقله إلى {when}. {reason} {followUp}',
+  'reschedule.suggestions': 'يمكنني نقله إلى {times}. هل يناسبك أي منها؟',
+  'reschedule.askOtherTime': 'هل يمكنك اقتراح وقت آخر؟',
+  'reschedule.failed': 'لم أتمكن من نقل الاجتماع. دعني أحولك إلى شخص يمكنه المساعدة.',
+  'reschedule.error': 'حدث خطأ أثناء نقل الاجتماع. دعني أحولك إلى شخص يمكنه المساعدة.',
+
+  // cancel_calendar_meeting
+  'cancel.done': 'تم. ألغي اجتماعك في {when}، وسيتم إبلاغ جميع المدعوين.',
+  'cancel.failed': 'لم أتمكن من إلغاء الاجتماع. دعني أحولك إلى شخص يمكنه المساعدة.',
+  'cancel.error': 'حدث خطأ أثناء إلغاء الاجتماع. دعني أحولك إلى شخص يمكنه المساعدة.',
+};
@@ -0,0 +1,151 @@
+/**
+ * English messages (the fallback for keys other languages leave out)
+ */
+
+export const en = {
+  // Calls and errors
+  'call.notSetUp': "Sorry, this number isn't set up to take calls yet.",
+  'call.unavailable': "Sorry, we can't take your call right now. Please try again later.",
+  'errors.noHost': "I'm unable to access the calendar right now. Please contact support.",
+  'errors.generic': "I apologize, but I encountered an error checking the calendar. Please try again or contact support.",
+  'common.askTimezone': "I didn't catch which time zone you're in. Could you tell me your city or time zone?",
+  'common.stillWorking': "I'm still working on that. Give me just a moment.",
+
+  // Tool arguments
+  'prompts.badArguments': "Sorry, I didn't get the details for that. Could you tell me again?",
+  'prompts.invalid': "Sorry, I didn't quite get that. {question}",
+  'prompts.default': 'Could you say that again?',
+  'prompts.date': 'Which day would you like?',
+  'prompts.time': 'What time would you like?',
+  'prompts.timezone': 'Which time zone are you in?',
+  'prompts.duration_minutes': 'How long should the meeting be?',
+  'prompts.endTime': 'What time should the meeting end?',
+  'prompts.leadName': 'Could I have your full name?',
+  'prompts.leadEmail': "What's the best email address to send the invite to?",
+  'prompts.leadPhone': "What's the best phone number to reach you?",
+  'prompts.original_date': 'Which day is the meeting you want to change?',
+  'prompts.original_time': 'What time is the meeting you want to change?',
+  'prompts.meetingType': 'Which kind of meeting would you like?',
+  'prompts.emailConfirmed': 'Is that email address right?',
+  'prompts.companyName': 'Which company are you with?',
+  'prompts.reason': "What's the meeting about?",
+  'prompts.check_calendar_availability.date': 'Which day would you like me to check?',
+  'prompts.check_calendar_availability.time': 'What time would you like me to check?',
+  'prompts.find_available_slots.date': 'Which day would you like me to look at?',
+  'prompts.find_available_slots.end_date': 'Until which day should I look?',
+  'prompts.book_calendar_meeting.date': 'Which day would you like to book?',
+  'prompts.book_calendar_meeting.time': 'What time would you like to book?',
+  'prompts.reschedule_calendar_meeting.date': 'What day would you like to move your meeting to?',
+  'prompts.reschedule_calendar_meeting.time': 'What time would you like to move your meeting to?',
+
+  // Dates, times and durations the caller gave
+  'dates.ask': 'Which day would you like? For example, tomorrow, next Tuesday or October 21.',
+  'dates.unclear': 'Sorry, which day did you mean? For example, tomorrow, next Tuesday or October 21.',
+  'dates.invalid': "That date doesn't exist. Which day did you mean? For example, tomorrow, next Tuesday or October 21.",
+  'dates.eitherDay': 'Just to be sure, do you mean {first} or {second}?',
+  'dates.todayOrNextWeek': 'Do you mean today, or {later}?',
+  'dates.whichDayOf': 'Which day {period} works best for you?',
+  'dates.past': 'That time has already passed. What later day or time would work for you?',
+  'times.ask': 'What time would you like? For example, 10 AM or 3:30 PM.',
+  'times.unclear': 'Sorry, what time did you mean? For example, 10 AM or 3:30 PM.',
+  'durations.ask': 'How long should the meeting be?',
+  'durations.invalid': 'How long should the meeting be? For example, 30 minutes or an hour.',
+
+  // Spoken lengths of time
+  'duration.days.one': 'a day',
+  'duration.days.other': '{count} days',
+  'duration.hours.one': 'an hour',
+  'duration.hours.other': '{count} hours',
+  'duration.minutes.one': 'a minute',
+  'duration.minutes.other': '{count} minutes',
+
+  // Times and open windows
+  'slot.dayAtTime': '{day} at {time}',
+  'availability.between': 'between {start} and {end}',
+  'availability.after': 'after {start}',
+  'availability.dayWindow': '{day} {window}',
+  'availability.dayMorningWindow': '{day} morning {window}',
+  'availability.dayInTheMorningWindow': '{day} in the morning {window}',
+  'availability.windowSeparator': ', or ',
+  'availability.daySeparator': '; and ',
+  'availability.laterDays': '{summary}; and on later days too',
+
+  // Why a time can't be booked
+  'refusal.busy': "There's already something else scheduled then.",
+  'refusal.conflict': "There's already {titles} scheduled.",
+  'refusal.anotherMeeting': 'another meeting',
+  'refusal.buffer': "That's too close to another meeting on the calendar.",
+  'refusal.minimumNotice': "That's a little too soon. Meetings need to be booked at least {notice} in advance.",
+  'refusal.tooFarAhead': 'I can only book meetings up to {ahead} ahead.',
+  'refusal.closedThatDay': "We're not taking meetings that day.",
+  'refusal.outsideHours': "That's outside of our meeting hours. That day we're available from {hours}.",
+  'refusal.hoursRange': '{start} to {end}',
+  'refusal.dailyLimit': 'The calendar is fully booked that day.',
+  'refusal.slotHeld': 'That time was just taken by another booking.',
+  'refusal.taken': 'That time is taken.',
+
+  // check_calendar_availability
+  'check.available': 'Great! {when} is available. Would you like to book this time?',
+  'check.unavailable': 'Unfortunately, {when} is not available. {reason} {followUp}',
+  'check.suggestions': 'The closest open times are {times}. Would any of those work for you?',
+  'check.askOtherTime': 'Could you suggest another time that works for you?',
+  'check.error': "I'm having trouble checking the calendar right now. Could you try a different time?",
+
+  // find_available_slots
+  'slots.tooManyDays': 'I can look up to {range} at a time. Which days would you like me to check?',
+  'slots.pastDate': 'That date has already passed. Which upcoming day would you like me to check?',
+  'slots.noneThatDay': "I don't have any openings that day. Would another day work for you?",
+  'slots.noneInRange': "I don't have any openings in that range. Would another day work for you?",
+  'slots.openings': 'I have openings {summary}. What works best for you?',
+  'slots.error': "I'm having trouble checking the calendar right now. Could you tell me a specific time that works for you?",
+
+  // Meeting types
+  'meetingTypes.option': '{name} ({duration})',
+  'meetingTypes.ask': 'Which kind of meeting would you like: {options}?',
+
+  // Attendee emails
+  'email.spellOut': "I didn't quite catch your email address. Could you spell it out for me?",
+  'email.confirm': 'Please confirm your email: I have {heard}. Did you mean {suggestion}?',
+  'email.spoken.at': 'at',
+  'email.spoken.dot': 'dot',
+  'email.spoken.underscore': 'underscore',
+  'email.spoken.dash': 'dash',
+  'email.spoken.plus': 'plus',
+
+  // book_calendar_meeting
+  'booking.askIntake': 'Before I book that, could you tell me your {field}?',
+  'booking.confirmed': "Perfect! I've booked {when} for you.",
+  'booking.inviteSent': "You'll receive a calendar invite at {email} shortly.",
+  'booking.refused': "I wasn't able to book that time. {reason} Could we try a different time?",
+  'booking.failedTryAgain': "I wasn't able to book that time. Please try a different time.",
+  'booking.error': 'I encountered an error booking the meeting. Let me transfer you to someone who can help.',
+
+  // How a booked meeting takes place
+  'conference.google-meet': "It's a Google Meet video call, and the link is in the invite.",
+  'conference.zoom': "It's a Zoom call, and the link is in the invite.",
+  'conference.link': "It's a {label} call, and the link is in the invite.",
+  'conference.onlineMeeting': "It's an online meeting, and the link is in the invite.",
+  'conference.phone': "It's a phone call: just dial {phone} at the meeting time.",
+  'conference.location': "It's in person at {location}.",
+
+  // Finding the caller's booking
+  'lookup.askEmail': 'Could you tell me the email address you used when booking?',
+  'lookup.notFoundByEmail': "I couldn't find an upcoming meeting under those details. Could you double-check the email or the date of the meeting?",
+  'lookup.notFoundByPhone': "I couldn't find an upcoming meeting booked from this number. What email address did you book with?",
+  'lookup.several': 'I found {count} upcoming meetings: {options}. Which one do you mean?',
+  'lookup.verifyIdentity': "To make sure it's your meeting, could you tell me the name it was booked under and the day and time it's booked for?",
+  'lookup.notVerified': "Sorry, I couldn't match those details to an upcoming meeting. Could you check the name and the time it was booked for?",
+
+  // reschedule_calendar_meeting
+  'reschedule.done': "All set! I've moved your meeting from {from} to {to}. You'll receive an updated calendar invite shortly.",
+  'reschedule.refused': "I can't move it to {when}. {reason} {followUp}",
+  'reschedule.suggestions': 'I could move it to {times}. Would any of those work?',
+  'reschedule.askOtherTime': 'Could you suggest another time?',
+  'reschedule.failed': "I wasn't able to move the meeting. Let me transfer you to someone who can help.",
+  'reschedule.error': 'I encountered an error moving the meeting. Let me transfer you to someone who can help.',
+
+  // cancel_calendar_meeting
+  'cancel.done': 'Done. Your meeting on {when} has been cancelled, and everyone invited will be notified.',
+  'cancel.failed': "I wasn't able to cancel the meeting. Let me transfer you to someone who can help.",
+  'cancel.error': 'I encountered an error cancelling the meeting. Let me transfer you to someone who can help.',
+};
@@ -0,0 +1,200 @@
+/**
+ * Logging
+ * One JSON object per line: { time, level, scope, message, correlationId,
+ * callId, toolCallId, ...fields }. The call and tool call being handled are
+ * kept in an async context (withLogContext), so every line logged while
+ * answering a tool call carries them, down to the calendar providers.
+ *
+ * Callers' details and the host's secrets are redacted before anything is
+ * written. Configured by environment:
+ * - LOG_LEVEL - debug, info (default), warn, error or silent
+ * - LOG_REDACT - what to redact: a comma-separated list of emails, phones,
+ *   tokens and titles (default: all of them), or "none"
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTABLE = ['emails', 'phones', 'tokens', 'titles'];
+
+const EMAIL_PATTERN = /[^\s@<>"'(),;:]+@([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi;
+// "+" and 7-15 digits, or three or more digit groups split by spaces, dots,
+// dashes or brackets ("(555) 123-4567"); plain digit runs (epoch
+// milliseconds, ids), decimals, dates and IP addresses don't match
+const PHONE_PATTERN = /(?<![\w:.+-])(?:\+\d(?:[\s().-]{0,2}\d){6,14}|(?!\d{4}-\d{2}-\d{2}(?!\d))(?!\d{1,3}(?:\.\d{1,3}){3}(?!\d))\(?\d{2,4}\)?(?:[\s.-]{1,2}\d{2,4}){2,4})(?![\w:-])/g;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+// OAuth token fields in JSON or form bodies quoted in errors
+const TOKEN_PAIR_PATTERN = /("?\b(?:access_token|refresh_token|id_token|client_secret)"?\s*[:=]\s*"?)[^"&\s,}]+/gi;
+
+const TOKEN_KEY = /token|secret|password|authorization|api[-_]?key|signature|credential/i;
+const TITLE_KEY = /^(title|titles|summary|subject|meetingTitle|conflictNames)$/;
+const EMAIL_KEY = /email/i;
+const PHONE_KEY = /phone(?!NumberId|Id)|^number$|^customerNumber$/i;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Read the logging configuration from the environment
+ */
+function getConfig() {
+  const level = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+  const setting = String(process.env.LOG_REDACT ?? '').trim().toLowerCase();
+  const categories = setting === 'none'
+    ? []
+    : setting
+      ? setting.split(',').map((item) => item.trim()).filter((item) => REDACTABLE.includes(item))
+      : REDACTABLE;
+  return { level, redact: new Set(categories) };
+}
+
+/**
+ * Mask an email address, keeping its domain ("***@gmail.com")
+ */
+function maskEmail(email) {
+  const domain = String(email).split('@')[1];
+  return domain ? `***@${domain}` : '***';
+}
+
+/**
+ * Mask a phone number, keeping its last two digits
+ */
+function maskPhone(phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-2)}` : '***';
+}
+
+/**
+ * Redact the emails, phone numbers and credentials inside a piece of text
+ */
+function redactText(text, categories) {
+  let result = text;
+  if (categories.has('tokens')) {
+    result = result
+      .replace(BEARER_PATTERN, '$1 [REDACTED]')
+      .replace(TOKEN_PAIR_PATTERN, '$1[REDACTED]');
+  }
+  if (categories.has('emails')) {
+    result = result.replace(EMAIL_PATTERN, (match) => maskEmail(match));
+  }
+  if (categories.has('phones')) {
+    result = result.replace(PHONE_PATTERN, (match) => maskPhone(match));
+  }
+  return result;
+}
+
+/**
+ * Redact a value for logging: by its key (a title, token, email or phone
+ * field is masked whatever it holds), then anything that looks like an
+ * email, phone number or bearer token in its text
+ */
+function redactValue(value, key, categories, seen = new WeakSet()) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (typeof value === 'string' || typeof value === 'number') {
+    if (categories.has('tokens') && TOKEN_KEY.test(key)) return '[REDACTED]';
+    if (categories.has('titles') && TITLE_KEY.test(key)) return '[REDACTED]';
+    if (categories.has('emails') && EMAIL_KEY.test(key)) return maskEmail(value);
+    if (categories.has('phones') && PHONE_KEY.test(key)) return maskPhone(value);
+    return typeof value === 'string' ? redactText(value, categories) : value;
+  }
+
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? String(value) : value.toISOString();
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactText(value.message, categories),
+      ...(value.stack && { stack: redactText(value.stack, categories) }),
+    };
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, key, categories, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [name, redactValue(item, name, categories, seen)])
+  );
+}
+
+/**
+ * Redact a value as it would be logged
+ */
+export function redact(value) {
+  return redactValue(value, '', getConfig().redact);
+}
+
+/**
+ * Run fn with fields (e.g. { callId, toolCallId }) added to every line it logs
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Get the correlation id for a call and tool call ("<callId>/<toolCallId>")
+ */
+export function getCorrelationId({ callId, toolCallId } = {}) {
+  return [callId, toolCallId].filter(Boolean).join('/') || null;
+}
+
+/**
+ * Write one log line
+ */
+function write(level, scope, message, fields) {
+  const config = getConfig();
+  if (LEVELS[level] < config.level) {
+    return;
+  }
+
+  const store = context.getStore() || {};
+  const base = {
+    time: new Date().toISOString(),
+    level,
+    scope,
+    message: redactText(String(message), config.redact),
+    correlationId: getCorrelationId(store),
+  };
+  // Fields named like the base keys (e.g. a requested `time`) can't replace them
+  const entry = {
+    ...base,
+    ...redactValue(store, '', config.redact),
+    ...(fields !== undefined && redactValue(fields instanceof Error ? { error: fields } : fields, '', config.redact)),
+    ...base,
+  };
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Create a logger for a part of the service (its scope, e.g. "Calendar")
+ * Each method takes a message and optional fields (an object, or an Error)
+ */
+export function createLogger(scope) {
+  return {
+    debug: (message, fields) => write('debug', scope, message, fields),
+    info: (message, fields) => write('info', scope, message, fields),
+    warn: (message, fields) => write('warn', scope, message, fields),
+    error: (message, fields) => write('error', scope, message, fields),
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Meeting Types
+ * The kinds of meeting a host offers (e.g. a 15-minute intro or a 45-minute
+ * demo), stored per host in the `meeting_types` collection. A type sets the
+ * meeting's duration, its event title and description (templates with
+ * {placeholders}), the intake questions a caller must answer, and can
+ * override the host's buffers, weekly hours and conferencing.
+ */
+
+import { getMongoDb } from './db.js';
+
+const DEFAULT_DURATION_MINUTES = 30;
+
+// Intake questions asked whatever the meeting type; a type can make them
+// required or relabel them by listing the same key
+const STANDARD_INTAKE_FIELDS = [
+  { key: 'companyName', label: 'Company' },
+  { key: 'reason', label: 'Reason for call' },
+];
+
+/**
+ * Map a stored meeting type to the shape used by the service
+ */
+function toMeetingType(record) {
+  return {
+    slug: record.slug,
+    name: record.name || record.slug,
+    durationMinutes: Number.isInteger(record.durationMinutes) && record.durationMinutes > 0
+      ? record.durationMinutes
+      : DEFAULT_DURATION_MINUTES,
+    titleTemplate: record.titleTemplate || null,
+    descriptionTemplate: record.descriptionTemplate || null,
+    bufferBeforeMinutes: record.bufferBeforeMinutes ?? null,
+    bufferAfterMinutes: record.bufferAfterMinutes ?? null,
+    weeklyHours: record.weeklyHours || null,
+    intakeFields: (record.intakeFields || []).filter((field) => field?.key),
+    conferencing: record.conferencing || null,
+  };
+}
+
+/**
+ * Get a host's active meeting types, in their configured order
+ */
+export async function getMeetingTypes(userId) {
+  const db = await getMongoDb();
+  const records = await db.collection('meeting_types')
+    .find({ userId, active: { $ne: false } })
+    .sort({ order: 1, durationMinutes: 1 })
+    .toArray();
+
+  return records.map(toMeetingType);
+}
+
+/**
+ * Get one of a host's active meeting types (null if there's none)
+ * Matches the slug or, since callers name meeting types in their own words,
+ * the name, ignoring case
+ */
+export async function getMeetingType(userId, slugOrName) {
+  const wanted = String(slugOrName || '').trim().toLowerCase();
+  if (!wanted) {
+    return null;
+  }
+
+  const meetingTypes = await getMeetingTypes(userId);
+  return meetingTypes.find((type) => type.slug?.toLowerCase() === wanted) ||
+    meetingTypes.find((type) => type.name.toLowerCase() === wanted) ||
+    null;
+}
+
+/**
+ * Collect intake answers (the standard questions and the meeting type's own)
+ * from tool arguments
+ * An answer is read from `intake[key]`, falling back to an argument of the
+ * same name. Returns { answers: [{ key, label, value }], missing } where
+ * missing lists the required fields without an answer, in order.
+ */
+export function getIntakeAnswers(meetingType, parameters) {
+  const typeFields = meetingType?.intakeFields || [];
+  const fields = [
+    ...STANDARD_INTAKE_FIELDS.filter((field) => !typeFields.some((typeField) => typeField.key === field.key)),
+    ...typeFields,
+  ];
+  const answers = [];
+  const missing = [];
+
+  for (const field of fields) {
+    const value = parameters.intake?.[field.key] ?? parameters[field.key];
+    const answer = value == null ? '' : String(value).trim();
+
+    if (answer) {
+      answers.push({ key: field.key, label: field.label || field.key, value: answer });
+    } else if (field.required) {
+      missing.push(field);
+    }
+  }
+
+  return { answers, missing };
+}
+
+/**
+ * Fill a template's {placeholders} (unknown ones become empty)
+ */
+export function renderTemplate(template, values) {
+  return template
+    .replace(/\{(\w+)\}/g, (match, key) => (values[key] == null ? '' : String(values[key])))
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
@@ -0,0 +1,39 @@
+/**
+ * Phone Numbers
+ * Maps the VAPI phone numbers hosts receive calls on to their owners, so an
+ * inbound call can be routed to the right host's calendar. Documents in
+ * `phone_numbers` look like:
+ * { userId, phoneNumberId, number, assistantId }
+ * where phoneNumberId is VAPI's id for the number, number is E.164 and
+ * assistantId (optional) is the assistant that answers it.
+ */
+
+import { getIndexedCollection } from './db.js';
+import { normalizePhone } from './bookings.js';
+
+/**
+ * Get the phone_numbers collection, creating its indexes on first use
+ */
+function getPhoneNumbersCollection() {
+  return getIndexedCollection('phone_numbers', [
+    [{ phoneNumberId: 1 }],
+    [{ number: 1 }],
+  ]);
+}
+
+/**
+ * Find the record for a dialed number, by VAPI phone number id or by the number itself
+ * Returns null when the number isn't assigned to a host
+ */
+export async function findPhoneNumber({ phoneNumberId, number } = {}) {
+  const matchers = [];
+  if (phoneNumberId) matchers.push({ phoneNumberId });
+  if (number) matchers.push({ number: normalizePhone(number) });
+
+  if (matchers.length === 0) {
+    return null;
+  }
+
+  const collection = await getPhoneNumbersCollection();
+  return await collection.findOne({ $or: matchers });
+}
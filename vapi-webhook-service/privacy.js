@@ -0,0 +1,55 @@
+/**
+ * Calendar Privacy
+ * What callers may learn about the host's other meetings, from
+ * `calendar_settings.privacy`. By default a conflicting event is only ever
+ * "busy"; revealTitleCalendarIds opts calendars in to having their event
+ * titles read out (e.g. a shared office-hours calendar), using the same ids
+ * as `calendars.busyCalendarIds` ('primary' for the provider's default
+ * calendar).
+ */
+
+import { getCalendarSettings } from './settings.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Privacy');
+
+/**
+ * Policy applied when a host hasn't saved their own
+ */
+export const DEFAULT_PRIVACY_POLICY = {
+  revealTitleCalendarIds: [],
+};
+
+/**
+ * Get a host's privacy policy merged over the defaults
+ * An invalid list is logged and replaced by the default, which hides titles
+ */
+export async function getPrivacyPolicy(userId) {
+  const settings = await getCalendarSettings(userId);
+  const stored = settings.privacy || {};
+  const policy = { ...DEFAULT_PRIVACY_POLICY };
+
+  if (stored.revealTitleCalendarIds !== undefined) {
+    const ids = stored.revealTitleCalendarIds;
+    if (Array.isArray(ids) && ids.every((id) => typeof id === 'string')) {
+      policy.revealTitleCalendarIds = ids;
+    } else {
+      log.warn('Ignoring invalid revealTitleCalendarIds', { userId, revealTitleCalendarIds: ids });
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Strip conflicting events down to what a caller may hear
+ * Each keeps its times; title is null unless its calendar reveals titles
+ */
+export function redactConflicts(conflicts, policy) {
+  return conflicts.map((event) => ({
+    start: event.start,
+    end: event.end,
+    allDay: event.allDay,
+    title: policy.revealTitleCalendarIds.includes(event.calendarId) ? event.title : null,
+  }));
+}
@@ -0,0 +1,235 @@
+/**
+ * CalDAV Provider
+ * Calendar provider for self-hosted and standards-based calendars (Nextcloud,
+ * Fastmail, iCloud and the like). The integration stores the calendar
+ * collection `url`, a `username` and an app `password`; `email` (or a
+ * username that is an email address) is used as the organizer so servers
+ * with CalDAV scheduling send the invitations.
+ *
+ * Busy times come from a calendar-query REPORT over the time range; events
+ * are written as iCalendar objects named after their UID. The url already
+ * names one calendar, so the booking calendarId doesn't apply, and there is
+ * no event color.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  buildICalendarEvent,
+  expandEvents,
+  parseICalendar,
+  rescheduleICalendarEvent
+} from '../ical.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('CalDAV');
+
+/**
+ * Get request headers carrying the integration's credentials
+ */
+function authHeaders(connection) {
+  const credentials = Buffer.from(`${connection.username || ''}:${connection.password || ''}`).toString('base64');
+  return { Authorization: `Basic ${credentials}` };
+}
+
+/**
+ * Get the URL of the calendar object for an event UID
+ */
+function eventUrl(connection, uid) {
+  const base = connection.url.endsWith('/') ? connection.url : `${connection.url}/`;
+  return new URL(`${encodeURIComponent(uid)}.ics`, base).toString();
+}
+
+/**
+ * Format an instant as a CalDAV UTC time-range value
+ */
+function toCalDavTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Decode the XML-escaped iCalendar text inside a calendar-data element
+ */
+function decodeXmlText(text) {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(text);
+  if (cdata) {
+    return cdata[1];
+  }
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get calendar events between two instants
+ * The server is asked to expand recurring events; any it returns unexpanded
+ * are expanded locally. Cancelled and transparent (free) events are skipped.
+ * Floating and all-day events are read in the host's timezone. Our own
+ * bookings use the booking key as their UID.
+ */
+export async function listEvents(connection, timeMin, timeMax, { timezone = 'UTC' } = {}) {
+  const start = toCalDavTime(timeMin);
+  const end = toCalDavTime(timeMax);
+
+  const response = await fetch(connection.url, {
+    method: 'REPORT',
+    headers: {
+      ...authHeaders(connection),
+      Depth: '1',
+      'Content-Type': 'application/xml; charset=utf-8',
+    },
+    body: `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <C:calendar-data>
+      <C:expand start="${start}" end="${end}"/>
+    </C:calendar-data>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT">
+        <C:time-range start="${start}" end="${end}"/>
+      </C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to fetch CalDAV events: ${response.status} ${errorText}`);
+  }
+
+  const xml = await response.text();
+  const events = [];
+
+  for (const match of xml.matchAll(/<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g)) {
+    events.push(...parseICalendar(decodeXmlText(match[1]), timezone));
+  }
+
+  return expandEvents(events, timeMin, timeMax)
+    .filter((event) => event.status !== 'CANCELLED' && event.transp !== 'TRANSPARENT')
+    .map((event) => ({
+      id: event.uid,
+      bookingKey: event.uid,
+      title: event.summary || "Busy",
+      start: event.start,
+      end: event.end,
+      allDay: event.allDay,
+      calendarId: 'primary',
+    }));
+}
+
+/**
+ * Create an event and invite the attendees
+ * The booking key is used as the UID, and the object is only created if it
+ * doesn't exist yet, so a retried create resolves to the earlier event.
+ */
+export async function createEvent(connection, event) {
+  const {
+    title,
+    description,
+    start,
+    end,
+    attendeeEmails,
+    privateProperties = {},
+    bookingKey = null,
+    visibility = 'default',
+    reminders = 'default',
+    location = null,
+    onlineMeeting = null,
+  } = event;
+
+  if (onlineMeeting) {
+    log.warn("Can't generate an online meeting link, creating the event without one", { onlineMeeting });
+  }
+
+  const uid = bookingKey || randomUUID();
+  const url = eventUrl(connection, uid);
+  const organizer = connection.email || (connection.username?.includes('@') ? connection.username : null);
+
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      ...authHeaders(connection),
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'If-None-Match': '*',
+    },
+    body: buildICalendarEvent({
+      uid,
+      title,
+      description,
+      location,
+      start,
+      end,
+      organizer,
+      attendees: attendeeEmails,
+      properties: privateProperties,
+      visibility,
+      // 'default' leaves reminders to the host's calendar client
+      reminders: reminders === 'default' ? [] : reminders,
+    }),
+  });
+
+  // 412: an object with this UID already exists (an earlier attempt made it)
+  if (response.status === 412 && bookingKey) {
+    log.info('Event already exists, reusing it', { eventId: uid });
+    return { eventId: uid, eventUrl: url, joinUrl: null };
+  }
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Failed to create CalDAV event: ${response.status} ${error}`);
+  }
+
+  return { eventId: uid, eventUrl: url, joinUrl: null };
+}
+
+/**
+ * Move an event, keeping everything else about it
+ */
+export async function updateEventTime(connection, eventId, start, end) {
+  const url = eventUrl(connection, eventId);
+
+  const current = await fetch(url, { headers: authHeaders(connection) });
+  if (!current.ok) {
+    const error = await current.text();
+    throw new Error(`Failed to fetch CalDAV event: ${current.status} ${error}`);
+  }
+
+  const etag = current.headers.get('etag');
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      ...authHeaders(connection),
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ...(etag && { 'If-Match': etag }),
+    },
+    body: rescheduleICalendarEvent(await current.text(), start, end),
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Failed to update CalDAV event: ${response.status} ${error}`);
+  }
+}
+
+/**
+ * Delete an event
+ */
+export async function deleteEvent(connection, eventId) {
+  const response = await fetch(eventUrl(connection, eventId), {
+    method: 'DELETE',
+    headers: authHeaders(connection),
+  });
+
+  // 404: already deleted
+  if (!response.ok && response.status !== 404) {
+    const error = await response.text();
+    throw new Error(`Failed to delete CalDAV event: ${response.status} ${error}`);
+  }
+}
@@ -0,0 +1,388 @@
+/**
+ * Google Calendar Provider
+ * Calendar provider backed by the Google Calendar API. Bookings are written
+ * to the host's booking calendar (primary unless the connection names
+ * another); busy time is read from it and from any other
+ * calendars the host has chosen (secondary or shared calendars) through the
+ * freeBusy query.
+ */
+
+import { randomUUID } from 'crypto';
+import { getZonedParts, zonedTimeToUtc } from '../timezone-utils.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('Google Calendar');
+
+const GOOGLE_CLIENT_ID = process.env.GOOGLE_CALENDAR_CLIENT_ID;
+const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CALENDAR_CLIENT_SECRET;
+
+const DEFAULT_CALENDAR_ID = 'primary';
+const CALENDARS_URL = 'https://www.googleapis.com/calendar/v3/calendars';
+const FREE_BUSY_URL = 'https://www.googleapis.com/calendar/v3/freeBusy';
+
+/**
+ * Exchange a refresh token for a new access token
+ */
+export async function refreshAccessToken(refreshToken) {
+  const tokenResponse = await fetch("https://oauth2.googleapis.com/token", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({
+      refresh_token: refreshToken,
+      client_id: GOOGLE_CLIENT_ID,
+      client_secret: GOOGLE_CLIENT_SECRET,
+      grant_type: "refresh_token",
+    }),
+  });
+
+  if (!tokenResponse.ok) {
+    const errorText = await tokenResponse.text();
+    throw new Error(`Token refresh failed: ${errorText}`);
+  }
+
+  const tokens = await tokenResponse.json();
+
+  return {
+    accessToken: tokens.access_token,
+    expiresIn: tokens.expires_in,
+    refreshToken: tokens.refresh_token,
+  };
+}
+
+/**
+ * Get the calendar bookings are written to
+ */
+function bookingCalendarId(connection) {
+  return connection.calendarId || DEFAULT_CALENDAR_ID;
+}
+
+/**
+ * Get the events URL of the booking calendar
+ */
+function eventsUrl(connection) {
+  return `${CALENDARS_URL}/${encodeURIComponent(bookingCalendarId(connection))}/events`;
+}
+
+/**
+ * Whether an event takes up the host's time
+ * Cancelled events, events marked "free" (transparent) and invitations the
+ * host declined don't
+ */
+function isBusyEvent(event) {
+  if (event.status === 'cancelled' || event.transparency === 'transparent') {
+    return false;
+  }
+  const self = (event.attendees || []).find((attendee) => attendee.self);
+  return self?.responseStatus !== 'declined';
+}
+
+/**
+ * Parse a Google event time; an all-day date starts at midnight in timezone
+ */
+function parseGoogleTime(value, timezone) {
+  if (value.dateTime) {
+    return new Date(value.dateTime);
+  }
+  const [year, month, day] = value.date.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day }, timezone);
+}
+
+/**
+ * Get the busy events on the booking calendar, with their details
+ * Our own bookings use the booking key as their event id. All-day events
+ * cover the host's days in timezone.
+ */
+async function listBookingCalendarEvents(connection, timeMin, timeMax, timezone) {
+  const events = [];
+  let pageToken = null;
+
+  do {
+    const params = new URLSearchParams({
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      singleEvents: "true",
+      orderBy: "startTime",
+      maxResults: "250",
+      ...(pageToken && { pageToken }),
+    });
+
+    const response = await fetch(`${eventsUrl(connection)}?${params}`, {
+      headers: { Authorization: `Bearer ${connection.accessToken}` },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to fetch Google Calendar events: ${errorText}`);
+    }
+
+    const data = await response.json();
+    events.push(...(data.items || []).filter(isBusyEvent));
+    pageToken = data.nextPageToken || null;
+  } while (pageToken);
+
+  return events.map((event) => ({
+    id: event.id,
+    bookingKey: event.id,
+    title: event.summary || "Busy",
+    start: parseGoogleTime(event.start, timezone),
+    end: parseGoogleTime(event.end, timezone),
+    allDay: !event.start.dateTime,
+    calendarId: bookingCalendarId(connection),
+  }));
+}
+
+/**
+ * Whether a busy block spans whole days in the host's timezone, which is how
+ * all-day events show up in free/busy results
+ */
+function coversWholeDays(start, end, timezone) {
+  const isMidnight = (date) => {
+    const { hours, minutes, seconds } = getZonedParts(date, timezone);
+    return hours === 0 && minutes === 0 && seconds === 0;
+  };
+  return end - start >= 23 * 60 * 60 * 1000 && isMidnight(start) && isMidnight(end);
+}
+
+/**
+ * Get busy blocks on other calendars through the freeBusy query
+ * Google already leaves out free, declined and cancelled events. Calendars
+ * that can't be read are logged and skipped.
+ */
+async function listFreeBusyBlocks(connection, calendarIds, timeMin, timeMax, timezone) {
+  const response = await fetch(FREE_BUSY_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${connection.accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      items: calendarIds.map((id) => ({ id })),
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to query Google Calendar free/busy: ${errorText}`);
+  }
+
+  const data = await response.json();
+  const blocks = [];
+
+  for (const [calendarId, calendar] of Object.entries(data.calendars || {})) {
+    if (calendar.errors?.length) {
+      log.warn('Skipping calendar', { calendarId, errors: calendar.errors.map((error) => error.reason) });
+      continue;
+    }
+
+    for (const busy of calendar.busy || []) {
+      const start = new Date(busy.start);
+      const end = new Date(busy.end);
+      blocks.push({
+        id: null,
+        bookingKey: null,
+        title: "Busy",
+        start,
+        end,
+        allDay: coversWholeDays(start, end, timezone),
+        calendarId,
+      });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Get busy events between two instants across the host's calendars
+ * The booking calendar is always read in full (so bookings can recognise
+ * their own events); calendarIds adds other calendars via freeBusy
+ */
+export async function listEvents(connection, timeMin, timeMax, { calendarIds = [DEFAULT_CALENDAR_ID], timezone = 'UTC' } = {}) {
+  const otherCalendarIds = [...new Set(calendarIds)].filter((id) => id !== bookingCalendarId(connection));
+
+  const [events, blocks] = await Promise.all([
+    listBookingCalendarEvents(connection, timeMin, timeMax, timezone),
+    otherCalendarIds.length > 0
+      ? listFreeBusyBlocks(connection, otherCalendarIds, timeMin, timeMax, timezone)
+      : [],
+  ]);
+
+  // A calendar listed under another id (e.g. the host's email for primary)
+  // would report our own events again; drop blocks matching a known event
+  const known = new Set(events.map((event) => `${event.start.getTime()}-${event.end.getTime()}`));
+  const otherBusy = blocks.filter((block) => !known.has(`${block.start.getTime()}-${block.end.getTime()}`));
+
+  return [...events, ...otherBusy].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get an event by id (null if it doesn't exist)
+ */
+async function getEvent(connection, eventId) {
+  const response = await fetch(`${eventsUrl(connection)}/${encodeURIComponent(eventId)}`, {
+    headers: { Authorization: `Bearer ${connection.accessToken}` },
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to fetch Google Calendar event: ${errorText}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Get the reminders block for an event: the calendar's defaults, or
+ * explicit overrides (an empty list turns reminders off)
+ */
+function toGoogleReminders(reminders) {
+  if (reminders === 'default') {
+    return { useDefault: true };
+  }
+  return { useDefault: false, overrides: reminders };
+}
+
+/**
+ * Get the Meet link of an event, if it has one
+ */
+function meetLink(event) {
+  const video = (event.conferenceData?.entryPoints || []).find((entryPoint) => entryPoint.entryPointType === 'video');
+  return event.hangoutLink || video?.uri || null;
+}
+
+/**
+ * Create an event and invite the attendees
+ * With onlineMeeting 'google-meet' Google generates a Meet link for it.
+ * The booking key becomes the event id (Google ids use base32hex characters,
+ * 0-9 and a-v, which a hex digest satisfies), so a retried insert is
+ * deduplicated by Google: the 409 it returns resolves to the event created by
+ * the earlier attempt.
+ */
+export async function createEvent(connection, event) {
+  const {
+    title,
+    description,
+    start,
+    end,
+    attendeeEmails,
+    timeZone = 'UTC',
+    privateProperties = {},
+    bookingKey = null,
+    colorId = null,
+    visibility = 'default',
+    reminders = 'default',
+    location = null,
+    onlineMeeting = null,
+  } = event;
+
+  const params = new URLSearchParams({
+    sendUpdates: 'all',
+    ...(onlineMeeting === 'google-meet' && { conferenceDataVersion: '1' }),
+  });
+
+  const response = await fetch(`${eventsUrl(connection)}?${params}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${connection.accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      ...(bookingKey && { id: bookingKey }),
+      summary: title,
+      description,
+      ...(location && { location }),
+      start: { 
+        dateTime: start.toISOString(),
+        timeZone,
+      },
+      end: { 
+        dateTime: end.toISOString(),
+        timeZone,
+      },
+      attendees: attendeeEmails.map(email => ({ email })),
+      extendedProperties: { private: privateProperties },
+      ...(colorId && { colorId }),
+      visibility,
+      reminders: toGoogleReminders(reminders),
+      ...(onlineMeeting === 'google-meet' && {
+        conferenceData: {
+          createRequest: {
+            requestId: bookingKey || randomUUID(),
+            conferenceSolutionKey: { type: 'hangoutsMeet' },
+          },
+        },
+      }),
+    }),
+  });
+
+  if (response.status === 409 && bookingKey) {
+    const existing = await getEvent(connection, bookingKey);
+    if (existing && existing.status !== 'cancelled') {
+      log.info('Event already exists, reusing it', { bookingKey });
+      return {
+        eventId: existing.id,
+        eventUrl: existing.htmlLink,
+        joinUrl: meetLink(existing),
+      };
+    }
+  }
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Failed to create Google Calendar event: ${error}`);
+  }
+
+  const data = await response.json();
+
+  return {
+    eventId: data.id,
+    eventUrl: data.htmlLink,
+    joinUrl: meetLink(data),
+  };
+}
+
+/**
+ * Move an event, notifying attendees
+ */
+export async function updateEventTime(connection, eventId, start, end, timeZone = 'UTC') {
+  const response = await fetch(`${eventsUrl(connection)}/${encodeURIComponent(eventId)}?sendUpdates=all`, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${connection.accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      start: { dateTime: start.toISOString(), timeZone },
+      end: { dateTime: end.toISOString(), timeZone },
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Failed to update Google Calendar event: ${error}`);
+  }
+}
+
+/**
+ * Delete an event, notifying attendees
+ */
+export async function deleteEvent(connection, eventId) {
+  const response = await fetch(`${eventsUrl(connection)}/${encodeURIComponent(eventId)}?sendUpdates=all`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${connection.accessToken}` },
+  });
+
+  // 410 Gone: already deleted
+  if (!response.ok && response.status !== 410) {
+    const error = await response.text();
+    throw new Error(`Failed to delete Google Calendar event: ${error}`);
+  }
+}
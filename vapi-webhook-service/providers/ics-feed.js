@@ -0,0 +1,109 @@
+/**
+ * ICS Feed Provider
+ * Read-only calendar provider for a published iCalendar feed (the "secret
+ * address in iCal format" most calendar apps offer). The integration stores
+ * the feed `url`. It provides busy times only; booking needs a calendar the
+ * service can write to.
+ */
+
+import { expandEvents, parseICalendar } from '../ical.js';
+
+// Give up on a slow feed before it holds the tool call past VAPI's timeout
+const FEED_TIMEOUT_MS = 5000;
+
+// How long a downloaded feed is reused (one booking reads it several times)
+const FEED_CACHE_MS = 60 * 1000;
+
+// Feed text (or the download in flight) by url and username
+const feedCache = new Map();
+
+/**
+ * Error thrown for any write to a feed
+ */
+function readOnlyError() {
+  return new Error("ICS calendar feeds are read-only. Connect Google, Microsoft or CalDAV to book meetings.");
+}
+
+/**
+ * Download a feed's iCalendar text
+ */
+async function downloadFeed(url, connection) {
+  const response = await fetch(url, {
+    headers: {
+      Accept: 'text/calendar',
+      ...(connection.username && {
+        Authorization: `Basic ${Buffer.from(`${connection.username}:${connection.password || ''}`).toString('base64')}`,
+      }),
+    },
+    signal: AbortSignal.timeout(FEED_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to fetch ICS feed: ${response.status} ${errorText}`);
+  }
+
+  return await response.text();
+}
+
+/**
+ * Get a feed's iCalendar text, downloaded at most once every FEED_CACHE_MS
+ * Concurrent reads share one download; a failed download isn't cached
+ */
+async function fetchFeed(connection) {
+  const url = connection.url.replace(/^webcals?:\/\//i, 'https://');
+  const key = `${connection.username || ''}@${url}`;
+  const now = Date.now();
+
+  for (const [cachedKey, entry] of feedCache) {
+    if (now - entry.fetchedAt >= FEED_CACHE_MS) {
+      feedCache.delete(cachedKey);
+    }
+  }
+
+  if (!feedCache.has(key)) {
+    const text = downloadFeed(url, connection);
+    feedCache.set(key, { fetchedAt: now, text });
+    text.catch(() => {
+      if (feedCache.get(key)?.text === text) {
+        feedCache.delete(key);
+      }
+    });
+  }
+
+  return await feedCache.get(key).text;
+}
+
+/**
+ * Get calendar events between two instants
+ * Cancelled and transparent (free) events are skipped. Floating and all-day
+ * events are read in the host's timezone.
+ */
+export async function listEvents(connection, timeMin, timeMax, { timezone = 'UTC' } = {}) {
+  const events = parseICalendar(await fetchFeed(connection), timezone);
+
+  return expandEvents(events, timeMin, timeMax)
+    .filter((event) => event.status !== 'CANCELLED' && event.transp !== 'TRANSPARENT')
+    .map((event) => ({
+      id: event.uid,
+      bookingKey: null,
+      title: event.summary || "Busy",
+      start: event.start,
+      end: event.end,
+      allDay: event.allDay,
+      calendarId: 'primary',
+    }));
+}
+
+// Feeds can't be written to
+export async function createEvent() {
+  throw readOnlyError();
+}
+
+export async function updateEventTime() {
+  throw readOnlyError();
+}
+
+export async function deleteEvent() {
+  throw readOnlyError();
+}
@@ -0,0 +1,229 @@
+/**
+ * Calendar Providers
+ * Every calendar backend implements the same functions, taking the
+ * connection returned by getCalendarConnection:
+ * - listEvents(connection, timeMin, timeMax, { calendarIds, timezone })
+ *   -> busy events [{ id, bookingKey, title, start, end, allDay, calendarId }];
+ *   free, declined and cancelled events are left out. calendarId is the
+ *   calendar the event is on ('primary' for the default or only calendar)
+ * - createEvent(connection, { title, description, start, end, attendeeEmails,
+ *   timeZone, privateProperties, bookingKey, colorId, visibility, reminders,
+ *   location, onlineMeeting }) -> { eventId, eventUrl, joinUrl }
+ *   (onlineMeeting 'google-meet' asks for a generated link, returned as
+ *   joinUrl; providers that can't generate one leave joinUrl null)
+ * - updateEventTime(connection, eventId, start, end, timeZone)
+ *   (timeZone is the host's IANA time zone, which the event is shown in)
+ * - deleteEvent(connection, eventId)
+ * - refreshAccessToken(refreshToken) -> { accessToken, expiresIn, refreshToken }
+ *   (OAuth providers only; the others connect with a stored URL and credentials)
+ *
+ * bookingKey is the idempotency key of an agent booking; providers store it
+ * on the event so a retried create doesn't make a second event, and return
+ * it from listEvents so a booking can recognise its own event.
+ *
+ * connection.calendarId is the calendar bookings are written to (null for
+ * the provider's default calendar); providers whose connection already
+ * names a single calendar (CalDAV, feeds) ignore it.
+ *
+ * The provider is picked per user from `user_integrations`, keyed by the
+ * integration's `provider` field. ICS feeds are read-only, so they are never
+ * picked to book on while the host has a calendar that can be written to;
+ * their events are added to that calendar's busy time instead.
+ */
+
+import { getMongoDb } from '../db.js';
+import * as googleCalendar from './google-calendar.js';
+import * as microsoftCalendar from './microsoft-calendar.js';
+import * as caldav from './caldav.js';
+import * as icsFeed from './ics-feed.js';
+
+const PROVIDERS = {
+  'google-calendar': googleCalendar,
+  'microsoft-calendar': microsoftCalendar,
+  'caldav': caldav,
+  'ics-feed': icsFeed,
+};
+
+const FEED_PROVIDER = 'ics-feed';
+
+// Calendar id of feed events added to another provider's busy time
+const FEED_CALENDAR_ID = 'ics-feed';
+
+/**
+ * Get a user's calendar integration
+ * Uses the named provider when given (e.g. the one a booking was made with),
+ * otherwise the writable integration marked primary, else the most recently
+ * updated one, else (for hosts with only feeds) a feed
+ */
+async function getUserIntegration(userId, providerName) {
+  const db = await getMongoDb();
+  const collection = db.collection('user_integrations');
+  const writable = Object.keys(PROVIDERS).filter((name) => name !== FEED_PROVIDER);
+
+  for (const provider of providerName ? [providerName] : [{ $in: writable }, FEED_PROVIDER]) {
+    const [integration] = await collection
+      .find({ userId, provider })
+      .sort({ primary: -1, updatedAt: -1 })
+      .limit(1)
+      .toArray();
+
+    if (integration) {
+      return toIntegration(integration);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get a user's ICS feed integrations that have a url
+ */
+async function getFeedIntegrations(userId) {
+  const db = await getMongoDb();
+  const integrations = await db.collection('user_integrations')
+    .find({ userId, provider: FEED_PROVIDER })
+    .toArray();
+
+  return integrations.filter((integration) => integration.url).map(toIntegration);
+}
+
+/**
+ * Pick the fields of a stored integration the providers use
+ */
+function toIntegration(integration) {
+  return {
+    _id: integration._id,
+    userId: integration.userId,
+    provider: integration.provider,
+    accessToken: integration.accessToken,
+    refreshToken: integration.refreshToken,
+    expiresAt: new Date(integration.expiresAt),
+    url: integration.url,
+    username: integration.username,
+    password: integration.password,
+    email: integration.email,
+    createdAt: new Date(integration.createdAt),
+    updatedAt: new Date(integration.updatedAt),
+  };
+}
+
+/**
+ * Add feeds' events to a connection's busy time
+ * The connection keeps its provider for writes; only listEvents changes.
+ * A feed that can't be read fails the listing rather than hiding busy time.
+ */
+function withFeeds(connection, feeds) {
+  if (feeds.length === 0) {
+    return connection;
+  }
+
+  const { provider } = connection;
+  const listEvents = async (target, timeMin, timeMax, options) => {
+    const [events, ...feedEvents] = await Promise.all([
+      provider.listEvents(target, timeMin, timeMax, options),
+      ...feeds.map((feed) => icsFeed.listEvents(feed, timeMin, timeMax, options)),
+    ]);
+    return [
+      ...events,
+      ...feedEvents.flat().map((event) => ({ ...event, calendarId: FEED_CALENDAR_ID })),
+    ].sort((a, b) => a.start - b.start);
+  };
+
+  return { ...connection, provider: { ...provider, listEvents } };
+}
+
+/**
+ * Refresh an integration's access token and store the new tokens
+ * updatedAt is left alone, so a refresh doesn't change which integration
+ * getUserIntegration picks
+ */
+async function refreshIntegrationToken(integration, provider) {
+  const tokens = await provider.refreshAccessToken(integration.refreshToken);
+
+  // Update access token in MongoDB
+  const db = await getMongoDb();
+  const collection = db.collection('user_integrations');
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + tokens.expiresIn * 1000);
+
+  await collection.updateOne(
+    { _id: integration._id },
+    {
+      $set: {
+        accessToken: tokens.accessToken,
+        ...(tokens.refreshToken && { refreshToken: tokens.refreshToken }),
+        expiresAt,
+      },
+    }
+  );
+
+  return tokens.accessToken;
+}
+
+/**
+ * Get a connection to a user's calendar: { providerName, provider, ... }
+ * OAuth connections carry an accessToken, refreshed when it expires within
+ * 5 minutes; CalDAV and feed connections carry the url and credentials.
+ * calendarId picks the calendar bookings are written to. Without a named
+ * provider, the host's other ICS feeds are read along with it.
+ * Throws "Calendar not connected" when the user has no usable integration.
+ */
+export async function getCalendarConnection(userId, providerName, { calendarId = null } = {}) {
+  const integration = await getUserIntegration(userId, providerName);
+  const connection = await connect(integration, calendarId);
+
+  if (providerName) {
+    return connection;
+  }
+
+  const feeds = (await getFeedIntegrations(userId))
+    .filter((feed) => String(feed._id) !== String(integration._id));
+  return withFeeds(connection, feeds);
+}
+
+/**
+ * Connect to one integration
+ */
+async function connect(integration, calendarId) {
+  const provider = integration && PROVIDERS[integration.provider];
+  const notConnected = new Error("Calendar not connected. Please connect your calendar in Integrations.");
+
+  if (!provider) {
+    throw notConnected;
+  }
+
+  if (!provider.refreshAccessToken) {
+    if (!integration.url) {
+      throw notConnected;
+    }
+    return {
+      providerName: integration.provider,
+      provider,
+      calendarId,
+      url: integration.url,
+      username: integration.username,
+      password: integration.password,
+      email: integration.email,
+    };
+  }
+
+  if (!integration.accessToken) {
+    throw notConnected;
+  }
+
+  // Check if token is expired or about to expire (within 5 minutes)
+  const now = new Date();
+  const fiveMinutesFromNow = new Date(now.getTime() + 5 * 60 * 1000);
+  let accessToken = integration.accessToken;
+
+  if (integration.expiresAt < fiveMinutesFromNow) {
+    // Token expired or about to expire, refresh it
+    if (!integration.refreshToken) {
+      throw new Error("No refresh token available. Please reconnect your calendar.");
+    }
+    accessToken = await refreshIntegrationToken(integration, provider);
+  }
+
+  return { providerName: integration.provider, provider, calendarId, accessToken };
+}
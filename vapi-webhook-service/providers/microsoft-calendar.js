@@ -0,0 +1,316 @@
+/**
+ * Microsoft Calendar Provider
+ * Calendar provider backed by Microsoft Graph. Bookings are written to the
+ * user's default Outlook / Microsoft 365 calendar, or the calendar the
+ * connection names; busy time is read from it and from any other calendars
+ * the host has chosen. Events are read and written in the host's time zone,
+ * so all-day events cover the host's days and Outlook shows bookings at the
+ * host's local time.
+ */
+
+import { getZonedParts, zonedTimeToUtc } from '../timezone-utils.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('Microsoft Calendar');
+
+const MICROSOFT_CLIENT_ID = process.env.MICROSOFT_CALENDAR_CLIENT_ID;
+const MICROSOFT_CLIENT_SECRET = process.env.MICROSOFT_CALENDAR_CLIENT_SECRET;
+const MICROSOFT_TENANT_ID = process.env.MICROSOFT_CALENDAR_TENANT_ID || 'common';
+
+const GRAPH_URL = 'https://graph.microsoft.com/v1.0/me';
+const DEFAULT_CALENDAR_ID = 'primary';
+
+// Event sensitivity for each booking visibility ('default' leaves it unset)
+const SENSITIVITIES = {
+  public: 'normal',
+  private: 'private',
+  confidential: 'confidential',
+};
+
+// Graph property set for named extended properties (PS_PUBLIC_STRINGS)
+const EXTENDED_PROPERTY_SET = '{00020329-0000-0000-C000-000000000046}';
+
+/**
+ * Exchange a refresh token for a new access token
+ * Microsoft rotates refresh tokens, so the new one is returned as well
+ */
+export async function refreshAccessToken(refreshToken) {
+  const tokenResponse = await fetch(`https://login.microsoftonline.com/${MICROSOFT_TENANT_ID}/oauth2/v2.0/token`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({
+      refresh_token: refreshToken,
+      client_id: MICROSOFT_CLIENT_ID,
+      client_secret: MICROSOFT_CLIENT_SECRET,
+      grant_type: "refresh_token",
+      scope: "offline_access Calendars.ReadWrite",
+    }),
+  });
+
+  if (!tokenResponse.ok) {
+    const errorText = await tokenResponse.text();
+    throw new Error(`Token refresh failed: ${errorText}`);
+  }
+
+  const tokens = await tokenResponse.json();
+
+  return {
+    accessToken: tokens.access_token,
+    expiresIn: tokens.expires_in,
+    refreshToken: tokens.refresh_token,
+  };
+}
+
+/**
+ * Call the Graph API with the connection's token
+ * Takes a path under /me or an absolute URL (for @odata.nextLink)
+ */
+async function graphRequest(connection, url, { method = 'GET', body, headers = {} } = {}) {
+  return await fetch(url.startsWith('https://') ? url : `${GRAPH_URL}${url}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${connection.accessToken}`,
+      ...(body && { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+/**
+ * Parse a Graph dateTimeTimeZone value requested in timeZone
+ */
+function parseGraphTime(value, timeZone = 'UTC') {
+  if (/[zZ]|[+-]\d\d:\d\d$/.test(value.dateTime)) {
+    return new Date(value.dateTime);
+  }
+  const [year, month, day, hours, minutes, seconds] = value.dateTime.match(/\d+/g).slice(0, 6).map(Number);
+  return zonedTimeToUtc({ year, month, day, hours, minutes, seconds }, timeZone);
+}
+
+/**
+ * Format an instant as a Graph dateTimeTimeZone value: its local time in timeZone
+ */
+function toGraphTime(date, timeZone = 'UTC') {
+  const { year, month, day, hours, minutes, seconds } = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    dateTime: `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`,
+    timeZone,
+  };
+}
+
+/**
+ * Get the calendar bookings are written to
+ */
+function bookingCalendarId(connection) {
+  return connection.calendarId || DEFAULT_CALENDAR_ID;
+}
+
+/**
+ * Get the path of a calendar under /me ('primary' is the default calendar)
+ */
+function calendarPath(calendarId) {
+  return calendarId === DEFAULT_CALENDAR_ID ? '' : `/calendars/${encodeURIComponent(calendarId)}`;
+}
+
+/**
+ * Get the reminder fields for an event
+ * Outlook keeps a single pop-up reminder, so the earliest popup (else the
+ * earliest reminder) is used; 'default' leaves the calendar's own in place
+ */
+function toGraphReminder(reminders) {
+  if (reminders === 'default') {
+    return {};
+  }
+  if (reminders.length === 0) {
+    return { isReminderOn: false };
+  }
+  const popups = reminders.filter((reminder) => reminder.method === 'popup');
+  return {
+    isReminderOn: true,
+    reminderMinutesBeforeStart: Math.max(...(popups.length > 0 ? popups : reminders).map((reminder) => reminder.minutes)),
+  };
+}
+
+/**
+ * Get the busy events on one calendar (recurring events expanded)
+ * Cancelled events, events shown as free and invitations the host declined
+ * are skipped. Our own bookings carry the booking key as their transactionId.
+ */
+async function listCalendarEvents(connection, calendarId, timeMin, timeMax, timezone) {
+  const params = new URLSearchParams({
+    startDateTime: timeMin.toISOString(),
+    endDateTime: timeMax.toISOString(),
+    $select: 'id,subject,start,end,isAllDay,transactionId,showAs,isCancelled,responseStatus',
+    $orderby: 'start/dateTime',
+    $top: '250',
+  });
+
+  const events = [];
+  let url = `${calendarPath(calendarId)}/calendarView?${params}`;
+
+  // Follow @odata.nextLink until every page is read
+  while (url) {
+    const response = await graphRequest(connection, url, {
+      headers: { Prefer: `outlook.timezone="${timezone}"` },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to fetch Microsoft calendar events: ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    for (const event of data.value || []) {
+      if (event.isCancelled || event.showAs === 'free' || event.responseStatus?.response === 'declined') {
+        continue;
+      }
+
+      events.push({
+        id: event.id,
+        bookingKey: event.transactionId || null,
+        title: event.subject || "Busy",
+        start: parseGraphTime(event.start, timezone),
+        end: parseGraphTime(event.end, timezone),
+        allDay: Boolean(event.isAllDay),
+        calendarId,
+      });
+    }
+
+    url = data['@odata.nextLink'] || null;
+  }
+
+  return events;
+}
+
+/**
+ * Get busy events between two instants across the host's calendars
+ * The booking calendar is always read (so bookings can recognise their own
+ * events) and must be readable; other calendarIds that can't be read are
+ * logged and skipped
+ */
+export async function listEvents(connection, timeMin, timeMax, { calendarIds = [DEFAULT_CALENDAR_ID], timezone = 'UTC' } = {}) {
+  const bookingId = bookingCalendarId(connection);
+  const otherCalendarIds = [...new Set(calendarIds)].filter((id) => id !== bookingId);
+
+  const [events, ...otherEvents] = await Promise.all([
+    listCalendarEvents(connection, bookingId, timeMin, timeMax, timezone),
+    ...otherCalendarIds.map((calendarId) =>
+      listCalendarEvents(connection, calendarId, timeMin, timeMax, timezone).catch((error) => {
+        log.warn('Skipping calendar', { calendarId, error: error.message });
+        return [];
+      })
+    ),
+  ]);
+
+  return [...events, ...otherEvents.flat()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Create an event and invite the attendees
+ * The booking key is sent as the transactionId. Graph uses it to deduplicate
+ * a retried create, and a retry first looks for an event an earlier attempt
+ * already made with it.
+ */
+export async function createEvent(connection, event) {
+  const {
+    title,
+    description,
+    start,
+    end,
+    attendeeEmails,
+    timeZone = 'UTC',
+    privateProperties = {},
+    bookingKey = null,
+    visibility = 'default',
+    reminders = 'default',
+    location = null,
+    onlineMeeting = null,
+  } = event;
+
+  if (onlineMeeting) {
+    log.warn("Can't generate an online meeting link, creating the event without one", { onlineMeeting });
+  }
+
+  if (bookingKey) {
+    const existing = (await listEvents(connection, start, end)).find((item) => item.bookingKey === bookingKey);
+    if (existing) {
+      log.info('Event already exists, reusing it', { bookingKey });
+      return { eventId: existing.id, eventUrl: null, joinUrl: null };
+    }
+  }
+
+  const properties = Object.entries(privateProperties).map(([name, value]) => ({
+    id: `String ${EXTENDED_PROPERTY_SET} Name ${name}`,
+    value: String(value),
+  }));
+
+  const response = await graphRequest(connection, `${calendarPath(bookingCalendarId(connection))}/events`, {
+    method: 'POST',
+    body: {
+      subject: title,
+      body: { contentType: 'text', content: description || '' },
+      start: toGraphTime(start, timeZone),
+      end: toGraphTime(end, timeZone),
+      ...(location && { location: { displayName: location } }),
+      attendees: attendeeEmails.map((email) => ({
+        emailAddress: { address: email },
+        type: 'required',
+      })),
+      ...toGraphReminder(reminders),
+      ...(SENSITIVITIES[visibility] && { sensitivity: SENSITIVITIES[visibility] }),
+      ...(bookingKey && { transactionId: bookingKey }),
+      ...(properties.length > 0 && { singleValueExtendedProperties: properties }),
+    },
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Failed to create Microsoft calendar event: ${error}`);
+  }
+
+  const data = await response.json();
+
+  return {
+    eventId: data.id,
+    eventUrl: data.webLink,
+    joinUrl: null,
+  };
+}
+
+/**
+ * Move an event (Graph notifies attendees of the change)
+ */
+export async function updateEventTime(connection, eventId, start, end, timeZone = 'UTC') {
+  const response = await graphRequest(connection, `/events/${encodeURIComponent(eventId)}`, {
+    method: 'PATCH',
+    body: {
+      start: toGraphTime(start, timeZone),
+      end: toGraphTime(end, timeZone),
+    },
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Failed to update Microsoft calendar event: ${error}`);
+  }
+}
+
+/**
+ * Delete an event (Graph sends attendees a cancellation)
+ */
+export async function deleteEvent(connection, eventId) {
+  const response = await graphRequest(connection, `/events/${encodeURIComponent(eventId)}`, {
+    method: 'DELETE',
+  });
+
+  // 404: already deleted
+  if (!response.ok && response.status !== 404) {
+    const error = await response.text();
+    throw new Error(`Failed to delete Microsoft calendar event: ${error}`);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * JSON Schema Validation
+ * A small validator for the subset of JSON Schema the tool definitions use:
+ * type (a name or a list of names), required, properties, items, enum,
+ * minimum/maximum, minLength/maxLength and pattern. Keywords outside that
+ * subset are ignored.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Whether a value is of one of a schema's types (an integer is also a number)
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const allowed = Array.isArray(type) ? type : [type];
+  return allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+}
+
+/**
+ * Validate a value against a schema
+ * Returns a list of errors ({ path, keyword, message }), empty when valid.
+ * path lists the property names (and array indexes) leading to the value.
+ */
+export function validateSchema(schema, value, path = []) {
+  const errors = [];
+  const fail = (keyword, message, at = path) => errors.push({ path: at, keyword, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail('type', `must be ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) fail('minimum', `must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail('maximum', `must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) fail('minLength', 'is too short');
+    if (schema.maxLength != null && value.length > schema.maxLength) fail('maxLength', 'is too long');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('pattern', 'is not in the expected format');
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        fail('required', 'is required', [...path, key]);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(propertySchema, value[key], [...path, key]));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, [...path, index])));
+  }
+
+  return errors;
+}
@@ -0,0 +1,16 @@
+/**
+ * Per-user Calendar Settings
+ * One document per host in the `calendar_settings` collection, stored next
+ * to `user_integrations`. Each feature reads its own section of it.
+ */
+
+import { getMongoDb } from './db.js';
+
+/**
+ * Get a host's calendar settings document (empty object if none saved)
+ */
+export async function getCalendarSettings(userId) {
+  const db = await getMongoDb();
+  const settings = await db.collection('calendar_settings').findOne({ userId });
+  return settings || {};
+}
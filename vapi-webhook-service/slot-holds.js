@@ -0,0 +1,152 @@
+/**
+ * Slot Holds
+ * Atomic reservations that stop two concurrent calls booking the same time.
+ *
+ * A hold covers a time range as one document per HOLD_BUCKET_MINUTES bucket
+ * in `slot_holds`, with a unique index on (userId, slot). Inserting the
+ * buckets either succeeds for all of them or hits a duplicate key, so two
+ * overlapping holds can never both be taken, even across serverless
+ * instances. Holds expire through a TTL index: pending holds after
+ * HOLD_TTL_SECONDS, confirmed holds when the meeting ends.
+ */
+
+import { randomUUID } from 'crypto';
+import { getIndexedCollection } from './db.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Slot Holds');
+
+const HOLD_BUCKET_MINUTES = 5;
+const HOLD_TTL_SECONDS = 120;
+
+/**
+ * Get the slot_holds collection, creating its indexes on first use
+ */
+function getHoldsCollection() {
+  return getIndexedCollection('slot_holds', [
+    [{ userId: 1, slot: 1 }, { unique: true }],
+    [{ expiresAt: 1 }, { expireAfterSeconds: 0 }],
+    [{ holdId: 1 }],
+    [{ bookingId: 1 }],
+  ]);
+}
+
+/**
+ * Get the bucket start times covering [start, end)
+ */
+function getBuckets(start, end) {
+  const size = HOLD_BUCKET_MINUTES * 60 * 1000;
+  const buckets = [];
+  for (let t = Math.floor(start.getTime() / size) * size; t < end.getTime(); t += size) {
+    buckets.push(new Date(t));
+  }
+  return buckets;
+}
+
+/**
+ * Try to reserve [start, end) for a user
+ * Returns the hold ({ holdId, attemptId }), or null when an overlapping hold
+ * already exists. replaceBookingId lets a reschedule overlap its own
+ * booking's holds: those buckets stay with the booking until
+ * transferBookingHolds moves them. holdKey makes the hold re-entrant: a
+ * retried booking with the same key gets back the hold its earlier attempt
+ * took.
+ */
+export async function acquireSlotHold(userId, start, end, { replaceBookingId, holdKey } = {}) {
+  const collection = await getHoldsCollection();
+  const now = new Date();
+  const holdId = holdKey || randomUUID();
+  const attemptId = randomUUID();
+  let buckets = getBuckets(start, end);
+
+  // The TTL monitor only runs about once a minute, so clear lapsed holds ourselves
+  await collection.deleteMany({ userId, slot: { $in: buckets }, expiresAt: { $lt: now } });
+
+  if (replaceBookingId) {
+    const owned = await collection
+      .find({ userId, slot: { $in: buckets }, bookingId: replaceBookingId })
+      .toArray();
+    const ownedSlots = new Set(owned.map((hold) => hold.slot.getTime()));
+    buckets = buckets.filter((slot) => !ownedSlots.has(slot.getTime()));
+  }
+
+  const expiresAt = new Date(now.getTime() + HOLD_TTL_SECONDS * 1000);
+
+  try {
+    if (buckets.length > 0) {
+      await collection.insertMany(
+        buckets.map((slot) => ({ userId, slot, holdId, attemptId, status: 'held', bookingId: null, createdAt: now, expiresAt })),
+        { ordered: true }
+      );
+    }
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const foreignHolds = await collection.countDocuments({ userId, slot: { $in: buckets }, holdId: { $ne: holdId } });
+
+    if (holdKey && foreignHolds === 0) {
+      // Only our own earlier attempt holds the range: fill in any missing buckets
+      await collection.insertMany(
+        buckets.map((slot) => ({ userId, slot, holdId, attemptId, status: 'held', bookingId: null, createdAt: now, expiresAt })),
+        { ordered: false }
+      ).catch((fillError) => {
+        if (fillError.code !== 11000) throw fillError;
+      });
+      log.info('Re-entered hold', { holdId, userId });
+      return { holdId, attemptId };
+    }
+
+    // Someone else holds part of the range: undo the buckets we did insert
+    await collection.deleteMany({ attemptId });
+    log.info('Slot already held', { userId, start, end });
+    return null;
+  }
+
+  log.info('Acquired hold', { holdId, userId });
+  return { holdId, attemptId };
+}
+
+/**
+ * Keep a hold for the booked meeting, until the meeting ends
+ */
+export async function confirmSlotHold({ holdId }, { bookingId, endsAt }) {
+  const collection = await getHoldsCollection();
+  await collection.updateMany(
+    { holdId },
+    { $set: { status: 'confirmed', bookingId: bookingId || null, expiresAt: endsAt } }
+  );
+}
+
+/**
+ * Release a hold that didn't turn into a booking
+ * Only the pending buckets this attempt inserted go, so a retry that failed
+ * after re-entering its booking's confirmed hold leaves the booking's hold alone
+ */
+export async function releaseSlotHold({ attemptId }) {
+  const collection = await getHoldsCollection();
+  await collection.deleteMany({ attemptId, status: 'held' });
+}
+
+/**
+ * Move a booking's holds to its new hold once the meeting has been moved
+ * The old buckets the new time [start, end) still covers join the new hold;
+ * the rest are released
+ */
+export async function transferBookingHolds(bookingId, { holdId }, { start, end }) {
+  const collection = await getHoldsCollection();
+  await collection.updateMany(
+    { bookingId, holdId: { $ne: holdId }, slot: { $in: getBuckets(start, end) } },
+    { $set: { holdId, expiresAt: end } }
+  );
+  await collection.deleteMany({ bookingId, holdId: { $ne: holdId } });
+}
+
+/**
+ * Release the holds kept for a booking (after a cancel)
+ */
+export async function releaseBookingHolds(bookingId) {
+  const collection = await getHoldsCollection();
+  await collection.deleteMany({ bookingId });
+}
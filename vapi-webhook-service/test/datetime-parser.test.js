@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDate, resolveDateTime, resolveDuration, resolveTime } from '../datetime-parser.js';
+
+// A Monday
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Resolve a date against NOW and return it as YYYY-MM-DD, or the question key
+ */
+function dateOf(value, timezone = 'UTC', now = NOW) {
+  const { date, question } = resolveDate(value, timezone, now);
+  if (question) return question.key;
+  return [date.year, date.month, date.day].map((part) => String(part).padStart(2, '0')).join('-');
+}
+
+/**
+ * Resolve a time and return it as HH:MM, or the question key
+ */
+function timeOf(value) {
+  const { time, question } = resolveTime(value);
+  if (question) return question.key;
+  return `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+}
+
+test('resolves ISO, relative and named dates', () => {
+  assert.equal(dateOf('2026-10-21'), '2026-10-21');
+  assert.equal(dateOf('today'), '2026-10-19');
+  assert.equal(dateOf('tomorrow afternoon'), '2026-10-20');
+  assert.equal(dateOf('day after tomorrow'), '2026-10-21');
+  assert.equal(dateOf('in 3 days'), '2026-10-22');
+  assert.equal(dateOf('in a week'), '2026-10-26');
+  assert.equal(dateOf('Tuesday'), '2026-10-20');
+  assert.equal(dateOf('this Friday'), '2026-10-23');
+  assert.equal(dateOf('October 21st'), '2026-10-21');
+  assert.equal(dateOf('the twenty first of October'), '2026-10-21');
+  assert.equal(dateOf('21 Oct 2027'), '2027-10-21');
+  assert.equal(dateOf('the 25th'), '2026-10-25');
+});
+
+test('takes the next occurrence of a date said without a year', () => {
+  assert.equal(dateOf('October 1st'), '2027-10-01');
+  assert.equal(dateOf('the 5th'), '2026-11-05');
+  assert.equal(dateOf('21/10'), '2026-10-21');
+});
+
+test('resolves dates against the day in the caller\'s time zone', () => {
+  const lateEvening = new Date('2026-10-19T22:00:00Z');
+  assert.equal(dateOf('today', 'UTC', lateEvening), '2026-10-19');
+  assert.equal(dateOf('today', 'Asia/Dubai', lateEvening), '2026-10-20');
+});
+
+test('asks about ambiguous or unclear dates', () => {
+  assert.equal(dateOf('3/4'), 'dates.eitherDay');
+  assert.equal(dateOf('Monday'), 'dates.todayOrNextWeek');
+  assert.equal(dateOf('next Tuesday'), 'dates.eitherDay');
+  assert.equal(dateOf('February 30'), 'dates.invalid');
+  assert.equal(dateOf('whenever'), 'dates.unclear');
+  assert.equal(dateOf(''), 'dates.ask');
+  assert.deepEqual(resolveDate('next week', 'UTC', NOW), { question: { key: 'dates.whichDayOf', values: { period: 'next week' } } });
+});
+
+test('resolves clock times with and without AM/PM', () => {
+  assert.equal(timeOf('15:30'), '15:30');
+  assert.equal(timeOf('3pm'), '15:00');
+  assert.equal(timeOf('3:30 p.m.'), '15:30');
+  assert.equal(timeOf('330pm'), '15:30');
+  assert.equal(timeOf('12am'), '00:00');
+  assert.equal(timeOf('noon'), '12:00');
+  assert.equal(timeOf('midnight'), '00:00');
+  assert.equal(timeOf('three thirty in the afternoon'), '15:30');
+  assert.equal(timeOf('ten in the morning'), '10:00');
+});
+
+test('reads a bare hour as business hours', () => {
+  assert.equal(timeOf('3'), '15:00');
+  assert.equal(timeOf('9'), '09:00');
+  assert.equal(timeOf('12'), '12:00');
+  assert.equal(timeOf('03:00'), '03:00');
+});
+
+test('resolves spoken times relative to an hour', () => {
+  assert.equal(timeOf('half past two'), '14:30');
+  assert.equal(timeOf('half past one'), '13:30');
+  assert.equal(timeOf('quarter to four'), '15:45');
+  assert.equal(timeOf('quarter to one'), '12:45');
+  assert.equal(timeOf('quarter to seven'), '06:45');
+  assert.equal(timeOf('twenty past nine am'), '09:20');
+  assert.equal(timeOf('quarter to one pm'), '12:45');
+  assert.equal(timeOf('ten to midnight'), '23:50');
+  assert.equal(timeOf('quarter past noon'), '12:15');
+});
+
+test('asks about times that can\'t be right', () => {
+  assert.equal(timeOf('13pm'), 'times.unclear');
+  assert.equal(timeOf('25:00'), 'times.unclear');
+  assert.equal(timeOf('half past thirteen pm'), 'times.unclear');
+  assert.equal(timeOf('soonish'), 'times.unclear');
+  assert.equal(timeOf(''), 'times.ask');
+});
+
+test('resolveDateTime converts in the caller\'s time zone', () => {
+  assert.equal(resolveDateTime('tomorrow', '10am', 'Asia/Dubai', NOW).start.toISOString(), '2026-10-20T06:00:00.000Z');
+  assert.deepEqual(resolveDateTime('today', '9am', 'UTC', NOW), { question: { key: 'dates.past' } });
+  assert.deepEqual(resolveDateTime('someday', '9am', 'UTC', NOW), { question: { key: 'dates.unclear' } });
+});
+
+test('resolveDateTime moves a time in the spring-forward gap forward', () => {
+  const january = new Date('2026-01-01T00:00:00Z');
+  assert.equal(resolveDateTime('2026-03-08', '2:30am', 'America/New_York', january).start.toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(resolveDateTime('2026-11-01', '1:30am', 'America/New_York', january).start.toISOString(), '2026-11-01T05:30:00.000Z');
+});
+
+test('resolves durations in numbers and words', () => {
+  assert.deepEqual(resolveDuration({ durationMinutes: 45 }), { minutes: 45 });
+  assert.deepEqual(resolveDuration({ duration_minutes: '45 minutes' }), { minutes: 45 });
+  assert.deepEqual(resolveDuration({ duration: 'an hour and a half' }), { minutes: 90 });
+  assert.deepEqual(resolveDuration({ duration: 'half an hour' }), { minutes: 30 });
+  assert.deepEqual(resolveDuration({ duration: '1.5 hours' }), { minutes: 90 });
+  assert.deepEqual(resolveDuration({ duration: '90 min' }), { minutes: 90 });
+  assert.deepEqual(resolveDuration({ duration: '1h30m' }), { minutes: 90 });
+  assert.deepEqual(resolveDuration({ duration: '1 hr 15 mins' }), { minutes: 75 });
+});
+
+test('works out a duration from an end time, past midnight too', () => {
+  assert.deepEqual(resolveDuration({ endTime: '4pm' }, { startTime: '3pm' }), { minutes: 60 });
+  assert.deepEqual(resolveDuration({ endTime: '1am' }, { startTime: '11pm' }), { minutes: 120 });
+  assert.deepEqual(resolveDuration({ endTime: 'later' }, { startTime: '3pm' }), { question: { key: 'durations.ask' } });
+});
+
+test('falls back to the default duration and rejects unlikely ones', () => {
+  assert.deepEqual(resolveDuration({}), { minutes: 30 });
+  assert.deepEqual(resolveDuration({}, { defaultMinutes: null }), { minutes: null });
+  assert.deepEqual(resolveDuration({ durationMinutes: 2 }), { question: { key: 'durations.invalid' } });
+  assert.deepEqual(resolveDuration({ duration: '12 hours' }), { question: { key: 'durations.invalid' } });
+  assert.deepEqual(resolveDuration({ duration: '10 mph' }), { question: { key: 'durations.invalid' } });
+});
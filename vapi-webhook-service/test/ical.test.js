@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandEvents, parseICalendar } from '../ical.js';
+
+/**
+ * Wrap VEVENT lines in a calendar document
+ */
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+/**
+ * Expand a document's events over [from, to) and return their start times
+ */
+function startsBetween(text, from, to, defaultTimezone) {
+  return expandEvents(parseICalendar(text, defaultTimezone), new Date(from), new Date(to))
+    .map((occurrence) => occurrence.start.toISOString());
+}
+
+test('parses UTC, TZID and folded, escaped properties', () => {
+  const [utc, zoned] = parseICalendar(calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'SUMMARY:Lunch\\, then a', '  walk', 'DTSTART:20261020T100000Z', 'DTEND:20261020T110000Z', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:b', 'DTSTART;TZID=America/New_York:20261020T100000', 'DURATION:PT1H30M', 'TRANSP:TRANSPARENT', 'END:VEVENT'],
+  ));
+
+  assert.equal(utc.summary, 'Lunch, then a walk');
+  assert.equal(utc.start.toISOString(), '2026-10-20T10:00:00.000Z');
+  assert.equal(utc.end.toISOString(), '2026-10-20T11:00:00.000Z');
+  assert.equal(utc.status, 'CONFIRMED');
+  assert.equal(zoned.start.toISOString(), '2026-10-20T14:00:00.000Z');
+  assert.equal(zoned.end.toISOString(), '2026-10-20T15:30:00.000Z');
+  assert.equal(zoned.transp, 'TRANSPARENT');
+});
+
+test('reads floating and all-day times in the default time zone', () => {
+  const [floating, allDay] = parseICalendar(calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART:20261020T100000', 'DTEND:20261020T110000', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:b', 'DTSTART;VALUE=DATE:20261020', 'END:VEVENT'],
+  ), 'Asia/Dubai');
+
+  assert.equal(floating.start.toISOString(), '2026-10-20T06:00:00.000Z');
+  assert.equal(allDay.allDay, true);
+  assert.equal(allDay.start.toISOString(), '2026-10-19T20:00:00.000Z');
+  assert.equal(allDay.end.toISOString(), '2026-10-20T20:00:00.000Z');
+});
+
+test('falls back to the default time zone for an unknown TZID', () => {
+  const [event] = parseICalendar(calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=Custom Zone:20261020T100000', 'END:VEVENT'],
+  ), 'Europe/Paris');
+
+  assert.equal(event.start.toISOString(), '2026-10-20T08:00:00.000Z');
+});
+
+test('skips properties of nested components', () => {
+  const [event] = parseICalendar(calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'SUMMARY:Call', 'DTSTART:20261020T100000Z',
+      'BEGIN:VALARM', 'ACTION:DISPLAY', 'SUMMARY:Reminder', 'TRIGGER:-PT10M', 'END:VALARM', 'END:VEVENT'],
+  ));
+
+  assert.equal(event.summary, 'Call');
+});
+
+test('keeps the wall-clock time of a weekly event across a DST change', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=America/New_York:20261026T090000', 'DTEND;TZID=America/New_York:20261026T093000',
+      'RRULE:FREQ=WEEKLY;COUNT=3', 'END:VEVENT'],
+  );
+
+  assert.deepEqual(startsBetween(text, '2026-10-01T00:00:00Z', '2026-12-01T00:00:00Z'), [
+    '2026-10-26T13:00:00.000Z',
+    '2026-11-02T14:00:00.000Z',
+    '2026-11-09T14:00:00.000Z',
+  ]);
+});
+
+test('counts COUNT from DTSTART, not from the start of the range', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART:20261020T090000Z', 'DTEND:20261020T100000Z', 'RRULE:FREQ=DAILY;COUNT=3', 'END:VEVENT'],
+  );
+
+  assert.deepEqual(startsBetween(text, '2026-10-21T00:00:00Z', '2026-11-01T00:00:00Z'), [
+    '2026-10-21T09:00:00.000Z',
+    '2026-10-22T09:00:00.000Z',
+  ]);
+});
+
+test('includes the whole day of a date-only UNTIL', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=Asia/Dubai:20261020T230000', 'DURATION:PT30M', 'RRULE:FREQ=DAILY;UNTIL=20261022', 'END:VEVENT'],
+  );
+
+  assert.deepEqual(startsBetween(text, '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z'), [
+    '2026-10-20T19:00:00.000Z',
+    '2026-10-21T19:00:00.000Z',
+    '2026-10-22T19:00:00.000Z',
+  ]);
+});
+
+test('expands BYDAY with an ordinal in monthly rules', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART:20261030T150000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', 'END:VEVENT'],
+  );
+
+  assert.deepEqual(startsBetween(text, '2026-10-01T00:00:00Z', '2027-06-01T00:00:00Z'), [
+    '2026-10-30T15:00:00.000Z',
+    '2026-11-27T15:00:00.000Z',
+    '2026-12-25T15:00:00.000Z',
+  ]);
+});
+
+test('leaves out EXDATEs and replaces RECURRENCE-ID overrides', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART:20261020T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;COUNT=3',
+      'EXDATE:20261021T090000Z', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:a', 'RECURRENCE-ID:20261022T090000Z', 'DTSTART:20261022T140000Z', 'DURATION:PT1H', 'END:VEVENT'],
+  );
+
+  assert.deepEqual(startsBetween(text, '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z'), [
+    '2026-10-20T09:00:00.000Z',
+    '2026-10-22T14:00:00.000Z',
+  ]);
+});
+
+test('returns occurrences that overlap the start of the range', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART:20261020T090000Z', 'DTEND:20261020T110000Z', 'END:VEVENT'],
+  );
+
+  assert.deepEqual(startsBetween(text, '2026-10-20T10:00:00Z', '2026-10-21T00:00:00Z'), ['2026-10-20T09:00:00.000Z']);
+  assert.deepEqual(startsBetween(text, '2026-10-20T11:00:00Z', '2026-10-21T00:00:00Z'), []);
+});
+
+test('caps an endless rule at MAX_RECURRENCES occurrences in the range', () => {
+  const text = calendar(
+    ['BEGIN:VEVENT', 'UID:a', 'DTSTART:20000101T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY', 'END:VEVENT'],
+  );
+
+  const starts = startsBetween(text, '2000-01-01T00:00:00Z', '2030-01-01T00:00:00Z');
+  assert.equal(starts.length, 10000);
+  assert.equal(starts[0], '2000-01-01T09:00:00.000Z');
+});
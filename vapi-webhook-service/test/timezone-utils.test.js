@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTimeZoneOffset, getZonedParts, isValidTimeZone, zonedTimeToUtc } from '../timezone-utils.js';
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Asia/Dubai'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
+
+test('getZonedParts gives the wall clock and weekday in the zone', () => {
+  assert.deepEqual(getZonedParts(new Date('2026-03-08T12:00:00Z'), 'America/New_York'), {
+    year: 2026, month: 3, day: 8, hours: 8, minutes: 0, seconds: 0, weekday: 0,
+  });
+  assert.deepEqual(getZonedParts(new Date('2026-12-31T22:30:00Z'), 'Asia/Dubai'), {
+    year: 2027, month: 1, day: 1, hours: 2, minutes: 30, seconds: 0, weekday: 5,
+  });
+});
+
+test('getTimeZoneOffset follows DST', () => {
+  const hour = 60 * 60 * 1000;
+  assert.equal(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/New_York'), -5 * hour);
+  assert.equal(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York'), -4 * hour);
+  assert.equal(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Asia/Dubai'), 4 * hour);
+});
+
+test('zonedTimeToUtc converts ordinary wall-clock times', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hours: 9 }, 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hours: 9 }, 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15 }, 'Asia/Dubai').toISOString(), '2026-01-14T20:00:00.000Z');
+});
+
+test('zonedTimeToUtc pushes a time in the spring-forward gap forward', () => {
+  // 02:30 doesn't exist on these nights; it becomes 03:30 in the new offset
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hours: 2, minutes: 30 }, 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hours: 1, minutes: 30 }, 'Europe/London').toISOString(), '2026-03-29T01:30:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 10, day: 4, hours: 2, minutes: 30 }, 'Australia/Sydney').toISOString(), '2026-10-03T16:30:00.000Z');
+});
+
+test('zonedTimeToUtc takes the earlier instant of a repeated fall-back time', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hours: 1, minutes: 30 }, 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 10, day: 25, hours: 1, minutes: 30 }, 'Europe/London').toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('zonedTimeToUtc round-trips every hour of a DST change day except the gap', () => {
+  for (let hours = 0; hours < 24; hours++) {
+    if (hours === 2) continue;
+    const wallClock = { year: 2026, month: 3, day: 8, hours, minutes: 15 };
+    const parts = getZonedParts(zonedTimeToUtc(wallClock, 'America/New_York'), 'America/New_York');
+    assert.deepEqual({ year: parts.year, month: parts.month, day: parts.day, hours: parts.hours, minutes: parts.minutes }, wallClock);
+  }
+});
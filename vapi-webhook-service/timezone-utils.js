@@ -0,0 +1,103 @@
+/**
+ * Time Zone Utilities
+ * Converts between wall-clock times in an IANA time zone and UTC instants
+ * using only the built-in Intl API
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter that splits an instant into wall-clock parts
+ */
+function getPartsFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check whether a string is a time zone Intl understands (e.g. "Asia/Dubai")
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    getPartsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * weekday is 0 (Sunday) to 6 (Saturday), month is 1-based
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hours: Number(parts.hour),
+    minutes: Number(parts.minute),
+    seconds: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Get the UTC offset (in milliseconds) of a time zone at a given instant
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC Date
+ *
+ * Follows the same rules as Temporal's "compatible" disambiguation:
+ * - an ambiguous time (clocks going back) resolves to the earlier instant
+ * - a nonexistent time (clocks going forward) is pushed forward by the
+ *   length of the gap, so 02:30 on a spring-forward night becomes 03:30
+ */
+export function zonedTimeToUtc({ year, month, day, hours = 0, minutes = 0, seconds = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds, 0);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  // The offsets either side of the wall-clock time cover any transition that day
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - dayMs), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + dayMs), timeZone);
+
+  const candidates = [...new Set([wallClock - offsetBefore, wallClock - offsetAfter])]
+    .filter((instant) => instant + getTimeZoneOffset(new Date(instant), timeZone) === wallClock)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    return new Date(candidates[0]);
+  }
+
+  // Nonexistent local time: interpret it with the offset in force before the gap
+  return new Date(wallClock - offsetBefore);
+}
@@ -0,0 +1,131 @@
+/**
+ * Tool Call Store
+ * Records each VAPI tool call id with its outcome in `tool_calls`, so a
+ * retried tool call (VAPI retries after a timeout) replays the stored result
+ * instead of running again and, say, booking a second meeting.
+ */
+
+import { getIndexedCollection } from './db.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Tool Calls');
+
+// How long results are kept for replay
+const RESULT_TTL_DAYS = 7;
+// How long a retry waits for the original attempt to finish
+const PENDING_WAIT_MS = 8000;
+const PENDING_POLL_MS = 500;
+// A pending attempt older than this is assumed to have died
+const STALE_PENDING_MS = 60 * 1000;
+
+/**
+ * Get the tool_calls collection, creating its indexes on first use
+ */
+function getToolCallsCollection() {
+  return getIndexedCollection('tool_calls', [
+    [{ expiresAt: 1 }, { expireAfterSeconds: 0 }],
+    [{ callId: 1 }],
+  ]);
+}
+
+/**
+ * Wait for another attempt of the same tool call to finish
+ * Returns the stored record once it is completed or no longer in progress
+ */
+async function waitForCompletion(collection, toolCallId) {
+  const deadline = Date.now() + PENDING_WAIT_MS;
+  let record = await collection.findOne({ _id: toolCallId });
+
+  while (record?.status === 'pending' && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, PENDING_POLL_MS));
+    record = await collection.findOne({ _id: toolCallId });
+  }
+
+  return record;
+}
+
+/**
+ * Run a tool call at most once per toolCallId
+ * execute() runs only for the first attempt; repeats get the stored result.
+ * Without a toolCallId the call just runs. i18n is the call's translator,
+ * for the reply to a repeat that arrives while the first is still running.
+ */
+export async function executeToolCallOnce({ toolCallId, callId, functionName, i18n }, execute) {
+  if (!toolCallId) {
+    return await execute();
+  }
+
+  const collection = await getToolCallsCollection();
+  const now = new Date();
+
+  try {
+    await collection.insertOne({
+      _id: toolCallId,
+      callId: callId || null,
+      functionName,
+      status: 'pending',
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + RESULT_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const existing = await waitForCompletion(collection, toolCallId);
+
+    if (existing?.status === 'completed') {
+      log.info('Replaying stored result');
+      return existing.result;
+    }
+
+    if (existing?.status === 'pending' && now - existing.updatedAt < STALE_PENDING_MS) {
+      log.info('Still running in another request');
+      return {
+        result: i18n.t('common.stillWorking'),
+        success: false
+      };
+    }
+
+    // The earlier attempt died (or failed): take it over, unless another
+    // retry got there first
+    const claimed = existing && await collection.findOneAndUpdate(
+      { _id: toolCallId, status: existing.status, updatedAt: existing.updatedAt },
+      { $set: { status: 'pending', updatedAt: new Date() } }
+    );
+
+    if (!claimed) {
+      log.info('Another retry took over the unfinished attempt');
+      const current = await waitForCompletion(collection, toolCallId);
+      if (current?.status === 'completed') {
+        return current.result;
+      }
+      return {
+        result: i18n.t('common.stillWorking'),
+        success: false
+      };
+    }
+
+    log.info('Retrying after an unfinished attempt');
+  }
+
+  let result;
+  try {
+    result = await execute();
+  } catch (error) {
+    await collection.updateOne(
+      { _id: toolCallId },
+      { $set: { status: 'failed', updatedAt: new Date() } }
+    );
+    throw error;
+  }
+
+  await collection.updateOne(
+    { _id: toolCallId },
+    { $set: { status: 'completed', result, updatedAt: new Date() } }
+  );
+
+  return result;
+}
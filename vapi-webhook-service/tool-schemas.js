@@ -0,0 +1,232 @@
+/**
+ * Tool Definitions
+ * Every tool the agent can call, declared once: its description and a JSON
+ * Schema of its arguments. Incoming arguments are validated against the
+ * schema before the tool runs, and the same definitions are served as VAPI
+ * tool definitions (GET /api/vapi/tools) so the assistant can't be set up
+ * with arguments the handlers don't accept.
+ */
+
+import { validateSchema } from './schema-validator.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Tools');
+
+// What each argument is, shared by every tool that takes it
+const ARGUMENTS = {
+  date: {
+    type: 'string',
+    minLength: 1,
+    description: 'The day, as YYYY-MM-DD or as the caller said it (e.g. "tomorrow", "next Tuesday", "October 21")'
+  },
+  time: {
+    type: 'string',
+    minLength: 1,
+    description: 'The start time, as HH:MM (24-hour) or as the caller said it (e.g. "3pm", "half past two")'
+  },
+  timezone: {
+    type: 'string',
+    description: "The caller's IANA time zone, e.g. America/New_York (defaults to the host's time zone)"
+  },
+  meetingType: {
+    type: 'string',
+    description: 'The kind of meeting the caller wants (its name or slug), when the host offers several'
+  },
+  duration_minutes: {
+    type: ['number', 'string'],
+    description: 'How long the meeting is, in minutes or as the caller said it (e.g. "an hour and a half"); ignored when a meeting type is given'
+  },
+  endTime: {
+    type: 'string',
+    description: 'When the meeting ends, instead of a duration'
+  },
+  leadName: {
+    type: 'string',
+    minLength: 1,
+    description: "The caller's full name"
+  },
+  leadEmail: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 320,
+    description: "The caller's email address, as written or as spoken (e.g. \"john dot smith at gmail dot com\")"
+  },
+  leadPhone: {
+    type: 'string',
+    description: "The caller's phone number, if different from the number they are calling from"
+  },
+  original_date: {
+    type: 'string',
+    description: 'The day of the meeting to change, when the caller has more than one or is asked to confirm it'
+  },
+  original_time: {
+    type: 'string',
+    description: 'The start time of the meeting to change, when the caller is asked to confirm it'
+  },
+};
+
+// Finding a caller's booking by email is optional (their number may do)
+const BOOKED_EMAIL = {
+  type: 'string',
+  maxLength: 320,
+  description: 'The email address the meeting was booked with, if the caller gives one'
+};
+
+// Asked for when a booking can't be tied to the number the caller is using
+const BOOKED_NAME = {
+  type: 'string',
+  description: 'The name the meeting was booked under, when the caller is asked to confirm it'
+};
+
+/**
+ * VAPI tools by name
+ */
+export const TOOLS = {
+  check_calendar_availability: {
+    description: 'Check whether a specific date and time is free on the host\'s calendar. Suggests the closest open times when it is not.',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: ARGUMENTS.date,
+        time: ARGUMENTS.time,
+        timezone: ARGUMENTS.timezone,
+        meetingType: ARGUMENTS.meetingType,
+        duration_minutes: ARGUMENTS.duration_minutes,
+        endTime: ARGUMENTS.endTime,
+      },
+      required: ['date', 'time'],
+    },
+  },
+  find_available_slots: {
+    description: 'List the open times on a day or a range of days (up to 14).',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: { ...ARGUMENTS.date, description: 'The first day to look at, as YYYY-MM-DD or as the caller said it' },
+        end_date: { type: 'string', description: 'The last day to look at, for a range of days' },
+        timezone: ARGUMENTS.timezone,
+        meetingType: ARGUMENTS.meetingType,
+        duration_minutes: ARGUMENTS.duration_minutes,
+      },
+      required: ['date'],
+    },
+  },
+  book_calendar_meeting: {
+    description: 'Book a meeting with the host and send the caller a calendar invite. Check availability first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: ARGUMENTS.date,
+        time: ARGUMENTS.time,
+        timezone: ARGUMENTS.timezone,
+        meetingType: ARGUMENTS.meetingType,
+        duration_minutes: ARGUMENTS.duration_minutes,
+        endTime: ARGUMENTS.endTime,
+        leadName: ARGUMENTS.leadName,
+        leadEmail: ARGUMENTS.leadEmail,
+        leadPhone: ARGUMENTS.leadPhone,
+        emailConfirmed: {
+          type: ['boolean', 'string'],
+          description: 'Set to true once the caller has confirmed an email address the agent asked them to confirm'
+        },
+        companyName: { type: 'string', description: "The caller's company" },
+        reason: { type: 'string', description: 'Why the caller wants the meeting' },
+        intake: {
+          type: 'object',
+          description: "Answers to the meeting type's intake questions, by question key"
+        },
+        meetingTitle: { type: 'string', description: 'A title for the meeting' },
+        meetingNotes: { type: 'string', description: 'Notes for the host' },
+      },
+      required: ['date', 'time', 'leadName', 'leadEmail'],
+    },
+  },
+  reschedule_calendar_meeting: {
+    description: "Move the caller's upcoming meeting to a new date and time.",
+    parameters: {
+      type: 'object',
+      properties: {
+        date: { ...ARGUMENTS.date, description: 'The new day, as YYYY-MM-DD or as the caller said it' },
+        time: { ...ARGUMENTS.time, description: 'The new start time, as HH:MM (24-hour) or as the caller said it' },
+        timezone: ARGUMENTS.timezone,
+        duration_minutes: { ...ARGUMENTS.duration_minutes, description: 'A new length in minutes, if it changes' },
+        leadEmail: BOOKED_EMAIL,
+        leadName: BOOKED_NAME,
+        original_date: ARGUMENTS.original_date,
+        original_time: ARGUMENTS.original_time,
+      },
+      required: ['date', 'time'],
+    },
+  },
+  cancel_calendar_meeting: {
+    description: "Cancel the caller's upcoming meeting.",
+    parameters: {
+      type: 'object',
+      properties: {
+        timezone: ARGUMENTS.timezone,
+        leadEmail: BOOKED_EMAIL,
+        leadName: BOOKED_NAME,
+        original_date: ARGUMENTS.original_date,
+        original_time: ARGUMENTS.original_time,
+      },
+    },
+  },
+};
+
+/**
+ * Validate a tool call's arguments
+ * Returns null when they are valid, else a result for the agent: a question
+ * about the first missing or invalid argument (the `prompts.<tool>.<field>`
+ * or `prompts.<field>` message), with the names of all of them in
+ * missingFields / invalidFields
+ */
+export function validateToolArguments(name, parameters, i18n) {
+  const tool = TOOLS[name];
+  const errors = validateSchema(tool.parameters, parameters);
+
+  if (errors.length === 0) {
+    return null;
+  }
+
+  // Arguments that weren't an object (or weren't JSON) can't be checked further
+  if (errors[0].path.length === 0) {
+    return {
+      result: i18n.t('prompts.badArguments'),
+      success: false
+    };
+  }
+
+  const isMissing = (error) => error.keyword === 'required' || error.keyword === 'minLength';
+  const fieldOf = (error) => error.path[0];
+  const missingFields = [...new Set(errors.filter(isMissing).map(fieldOf))];
+  const invalidFields = [...new Set(errors.filter((error) => !isMissing(error)).map(fieldOf))]
+    .filter((field) => !missingFields.includes(field));
+
+  const first = fieldOf(errors[0]);
+  const questionKey = [`prompts.${name}.${first}`, `prompts.${first}`].find((key) => i18n.has(key)) || 'prompts.default';
+  const question = i18n.t(questionKey);
+
+  log.info('Invalid arguments', { tool: name, errors: errors.map((error) => `${error.path.join('.')} ${error.message}`) });
+
+  return {
+    result: isMissing(errors[0]) ? question : i18n.t('prompts.invalid', { question }),
+    success: false,
+    ...(missingFields.length > 0 && { missingFields }),
+    ...(invalidFields.length > 0 && { invalidFields })
+  };
+}
+
+/**
+ * Get the tools as VAPI tool definitions that call this service at serverUrl
+ */
+export function getVapiToolDefinitions(serverUrl) {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    type: 'function',
+    function: {
+      name,
+      description: tool.description,
+      parameters: tool.parameters
+    },
+    server: { url: serverUrl }
+  }));
+}
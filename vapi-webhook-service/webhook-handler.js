@@ -1,121 +1,649 @@
 /**
  * VAPI Webhook Handler for Calendar Operations
- * Handles function calls from VAPI AI agent during phone calls
+ * Handles tool calls from VAPI AI agent during phone calls
  */
 
-import { checkAvailability, bookMeeting } from './calendar-service.js';
+import {
+  checkAvailability,
+  bookMeeting,
+  findAvailableSlots,
+  rescheduleMeeting,
+  cancelMeeting
+} from './calendar-service.js';
+import { findUpcomingBookings, normalizePhone } from './bookings.js';
+import { executeToolCallOnce } from './tool-call-store.js';
+import {
+  recordCallStatus,
+  recordTranscriptLine,
+  recordCallHang,
+  recordCallReport
+} from './call-records.js';
+import { findPhoneNumber } from './phone-numbers.js';
+import { checkSpokenEmail, normalizeSpokenEmail, speakEmail } from './email-capture.js';
+import { resolveDate, resolveDateTime, resolveDuration, resolveTime } from './datetime-parser.js';
+import { validateToolArguments } from './tool-schemas.js';
+import { createTranslator, getTranslator, resolveLocale } from './i18n.js';
+import { createLogger, withLogContext } from './logger.js';
+import { getIntakeAnswers, getMeetingType, getMeetingTypes, renderTemplate } from './meeting-types.js';
+import { getCalendarSettings } from './settings.js';
+import { getZonedParts, isValidTimeZone, zonedTimeToUtc } from './timezone-utils.js';
+
+const log = createLogger('VAPI Calendar');
+
+// Longest date range find_available_slots will search in one call
+const MAX_SLOT_SEARCH_DAYS = 14;
+
+// Tool handlers by VAPI function name
+const TOOL_HANDLERS = {
+  check_calendar_availability: (parameters, userId, call, toolCall, i18n) => handleCheckAvailability(parameters, userId, i18n),
+  book_calendar_meeting: (parameters, userId, call, toolCall, i18n) => handleBookMeeting(parameters, call, userId, toolCall, i18n),
+  find_available_slots: (parameters, userId, call, toolCall, i18n) => handleFindAvailableSlots(parameters, userId, i18n),
+  reschedule_calendar_meeting: (parameters, userId, call, toolCall, i18n) => handleRescheduleMeeting(parameters, call, userId, i18n),
+  cancel_calendar_meeting: (parameters, userId, call, toolCall, i18n) => handleCancelMeeting(parameters, call, userId, i18n),
+};
+
+// Handlers for VAPI's call lifecycle messages, by message type
+const LIFECYCLE_HANDLERS = {
+  'end-of-call-report': handleEndOfCallReport,
+  'status-update': handleStatusUpdate,
+  'transcript': handleTranscript,
+  'hang': handleHang,
+};
+
+// Tools that change the calendar, run one at a time when a request has several
+const SEQUENTIAL_TOOLS = new Set([
+  'book_calendar_meeting',
+  'reschedule_calendar_meeting',
+  'cancel_calendar_meeting',
+]);
 
 /**
- * Handle VAPI function calls for calendar operations
+ * Handle VAPI tool calls for calendar operations
+ * Accepts both VAPI's tool-calls messages (message.toolCallList or
+ * message.toolCalls, answered with one result per tool call) and legacy
+ * function-call messages (message.functionCall, answered with the bare result)
  */
 export async function handleVAPICalendarWebhook(req, res) {
+  const body = req.body || {};
+  const message = body.message || {};
+  const call = body.call || message.call || {};
+
+  // Everything logged while answering carries the call id
+  return withLogContext({ callId: call.id }, () => handleWebhookMessage(message, call, res));
+}
+
+/**
+ * Answer one webhook message for a call
+ */
+async function handleWebhookMessage(message, call, res) {
   const startTime = Date.now();
-  console.log("[VAPI Calendar] ========== NEW REQUEST ==========");
-  console.log("[VAPI Calendar] Timestamp:", new Date().toISOString());
-  
+  const toolCallList = message.toolCallList || message.toolCalls || [];
+
+  // Extract user_id from call metadata (set during call initiation)
+  const userId = call.metadata?.user_id || call.assistantOverrides?.variableValues?.user_id;
+
+  if (message.type === 'assistant-request') {
+    return handleAssistantRequest(message, res);
+  }
+
+  if (LIFECYCLE_HANDLERS[message.type]) {
+    return handleLifecycleMessage(message, call, userId, res);
+  }
+
+  if (message.type && message.type !== 'tool-calls' && message.type !== 'function-call') {
+    log.debug('Ignoring message', { type: message.type });
+    return res.json({ received: true });
+  }
+
   try {
-    const body = req.body;
-    
-    console.log("[VAPI Calendar] Request body:", JSON.stringify(body, null, 2));
+    log.info('Request received', {
+      type: message.type || 'function-call',
+      userId,
+      tools: toolCallList.length > 0
+        ? toolCallList.map((toolCall) => toolCall?.function?.name || toolCall?.name)
+        : [message.functionCall?.name]
+    });
+
+    if (toolCallList.length > 0) {
+      const results = await runToolCalls(toolCallList, call, userId);
+
+      log.info('Request complete', { durationMs: Date.now() - startTime });
+      return res.json({ results });
+    }
 
-    const functionName = body.message?.functionCall?.name;
-    const parameters = body.message?.functionCall?.parameters || {};
+    const toolCall = parseFunctionCall(message.functionCall);
 
-    if (!functionName) {
+    if (!toolCall?.name) {
       return res.status(400).json({ error: "Missing function name" });
     }
 
-    // Extract user_id from call metadata (set during call initiation)
-    const userId = body.call?.assistantOverrides?.variableValues?.user_id;
-    
-    if (!userId) {
-      console.error("[VAPI Calendar] Missing user_id in call metadata");
-      return res.json({
-        result: "I'm unable to access the calendar right now. Please contact support."
-      });
-    }
-
-    console.log(`[VAPI Calendar] Processing ${functionName} for user ${userId}`);
-
-    let result;
-
-    switch (functionName) {
-      case "check_calendar_availability":
-        result = await handleCheckAvailability(parameters, parseInt(userId));
-        break;
-      
-      case "book_calendar_meeting":
-        result = await handleBookMeeting(parameters, body.call, parseInt(userId));
-        break;
-      
-      default:
-        return res.status(400).json({ error: `Unknown function: ${functionName}` });
-    }
-
-    const duration = Date.now() - startTime;
-    console.log("[VAPI Calendar] Function result:", result);
-    console.log(`[VAPI Calendar] Total duration: ${duration}ms`);
-    console.log("[VAPI Calendar] ========== REQUEST COMPLETE ==========");
+    if (!TOOL_HANDLERS[toolCall.name]) {
+      return res.status(400).json({ error: `Unknown function: ${toolCall.name}` });
+    }
+
+    const result = await executeToolCall(toolCall, call, userId);
+
+    log.debug('Function result', describeResult(toolCall.name, result));
+    log.info('Request complete', { durationMs: Date.now() - startTime, success: result.success });
     return res.json(result);
 
   } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error("[VAPI Calendar] ========== ERROR ==========");
-    console.error("[VAPI Calendar] Error type:", error instanceof Error ? error.constructor.name : typeof error);
-    console.error("[VAPI Calendar] Error message:", error instanceof Error ? error.message : String(error));
-    console.error("[VAPI Calendar] Error stack:", error instanceof Error ? error.stack : 'N/A');
-    console.error(`[VAPI Calendar] Failed after ${duration}ms`);
-    console.error("[VAPI Calendar] ========== ERROR END ==========");
+    log.error('Request failed', { durationMs: Date.now() - startTime, error });
     return res.status(500).json({ 
-      result: "I apologize, but I encountered an error checking the calendar. Please try again or contact support." 
+      result: createTranslator(resolveLocale(getCallLocale(call))).t('errors.generic')
+    });
+  }
+}
+
+/**
+ * Run every tool call in a tool-calls message, returning one result per call
+ * in the order they were made. Calls that change the calendar run one after
+ * another so they can't race each other for the host's time; lookups run
+ * concurrently. A call that fails only fails its own result.
+ */
+async function runToolCalls(toolCallList, call, userId) {
+  const results = new Array(toolCallList.length);
+  const indexed = toolCallList.map((toolCall, index) => ({ toolCall, index }));
+  const changesCalendar = ({ toolCall }) => SEQUENTIAL_TOOLS.has(toolCall?.function?.name || toolCall?.name);
+
+  const runInOrder = async (entries) => {
+    for (const { toolCall, index } of entries) {
+      results[index] = await runToolCallSafely(toolCall, call, userId);
+    }
+  };
+
+  await Promise.all([
+    ...indexed
+      .filter((entry) => !changesCalendar(entry))
+      .map(async ({ toolCall, index }) => {
+        results[index] = await runToolCallSafely(toolCall, call, userId);
+      }),
+    runInOrder(indexed.filter(changesCalendar)),
+  ]);
+
+  return results;
+}
+
+/**
+ * Run one entry of a tool-calls message, turning any failure into that
+ * call's result instead of failing the whole request
+ */
+async function runToolCallSafely(rawToolCall, call, userId) {
+  const toolCallId = rawToolCall?.id;
+  return withLogContext({ toolCallId }, () => runToolCallInContext(rawToolCall, toolCallId, call, userId));
+}
+
+/**
+ * Run one entry of a tool-calls message inside its log context
+ */
+async function runToolCallInContext(rawToolCall, toolCallId, call, userId) {
+  try {
+    const toolCall = parseToolCall(rawToolCall);
+
+    if (!toolCall.name) {
+      return { toolCallId, error: "Missing function name" };
+    }
+
+    if (!TOOL_HANDLERS[toolCall.name]) {
+      return { toolCallId, error: `Unknown function: ${toolCall.name}` };
+    }
+
+    const result = await executeToolCall(toolCall, call, userId);
+    log.debug('Function result', describeResult(toolCall.name, result));
+    return { toolCallId, result: toToolResult(result) };
+
+  } catch (error) {
+    log.error('Tool call failed', error);
+    return {
+      toolCallId,
+      result: createTranslator(resolveLocale(getCallLocale(call))).t('errors.generic')
+    };
+  }
+}
+
+/**
+ * Run a parsed tool call for the call's host
+ */
+async function executeToolCall(toolCall, call, userId) {
+  if (!userId) {
+    log.error('Missing user_id in call metadata');
+    return {
+      result: createTranslator(resolveLocale(getCallLocale(call))).t('errors.noHost')
+    };
+  }
+
+  log.info('Processing tool call', { tool: toolCall.name, userId });
+
+  const i18n = await getTranslator(parseInt(userId), getCallLocale(call));
+
+  // Missing or invalid arguments get a question for the caller instead
+  const invalid = validateToolArguments(toolCall.name, toolCall.parameters, i18n);
+  if (invalid) {
+    return invalid;
+  }
+
+  // Without a time zone from the caller, times are the host's
+  const parameters = toolCall.parameters.timezone
+    ? toolCall.parameters
+    : { ...toolCall.parameters, timezone: await getCallTimezone(call, parseInt(userId)) };
+
+  // A retried tool call replays the stored result instead of running again
+  return await executeToolCallOnce(
+    { toolCallId: toolCall.id, callId: call.id, functionName: toolCall.name, i18n },
+    () => TOOL_HANDLERS[toolCall.name](parameters, parseInt(userId), call, toolCall, i18n)
+  );
+}
+
+/**
+ * Get the host's time zone for a call: its `timezone` variable value, else
+ * the host's calendar settings, else UTC
+ */
+async function getCallTimezone(call, userId) {
+  const fromCall = call?.assistantOverrides?.variableValues?.timezone;
+  if (fromCall && isValidTimeZone(fromCall)) {
+    return fromCall;
+  }
+
+  const settings = await getCalendarSettings(userId);
+  return isValidTimeZone(settings.timezone) ? settings.timezone : 'UTC';
+}
+
+/**
+ * Get the language a call asked for (its `locale` variable value or
+ * metadata), if any
+ */
+function getCallLocale(call) {
+  return call?.assistantOverrides?.variableValues?.locale || call?.metadata?.locale || null;
+}
+
+/**
+ * Normalize a tool call from a tool-calls message
+ * Handles both { id, function: { name, arguments: "{...}" } } and
+ * { id, name, arguments: {...} }
+ */
+function parseToolCall(toolCall) {
+  const name = toolCall.function?.name || toolCall.name;
+  const args = toolCall.function?.arguments ?? toolCall.arguments ?? {};
+
+  return {
+    id: toolCall.id,
+    name,
+    parameters: parseArguments(args),
+  };
+}
+
+/**
+ * Parse tool call arguments sent as a JSON string
+ * Arguments that aren't valid JSON are returned as null, which fails
+ * validation with a question for the caller rather than an error
+ */
+function parseArguments(args) {
+  if (typeof args !== 'string') {
+    return args;
+  }
+
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    log.warn('Tool call arguments are not valid JSON', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Normalize a legacy function-call message (it carries no tool call id)
+ */
+function parseFunctionCall(functionCall) {
+  if (!functionCall) {
+    return null;
+  }
+
+  return {
+    id: null,
+    name: functionCall.name,
+    parameters: parseArguments(functionCall.parameters || {}),
+  };
+}
+
+/**
+ * Turn a handler result into the string VAPI passes back to the model
+ * Results carrying structured data (alternatives, slots, bookings) are sent
+ * as JSON so the model can use them; otherwise just the spoken text
+ */
+function toToolResult(result) {
+  const { result: message, success, ...data } = result;
+  return Object.keys(data).length > 0 ? JSON.stringify({ message, ...data }) : message;
+}
+
+/**
+ * Describe a handler result for the logs
+ * The spoken text can read back the caller's details (a spelled-out email
+ * gets past the redactor), so only the outcome and the data fields are logged
+ */
+function describeResult(tool, result) {
+  const { result: message, success, ...data } = result;
+  return { tool, success, fields: Object.keys(data) };
+}
+
+/**
+ * Idempotency key for a booking made by a tool call
+ * Retries of the same tool call (or, for legacy function calls, the same
+ * request within a call) get the same key
+ */
+function getIdempotencyKey(call, toolCall) {
+  if (!call?.id) {
+    return null;
+  }
+  return toolCall?.id
+    ? `${call.id}:${toolCall.id}`
+    : `${call.id}:${toolCall?.name}:${JSON.stringify(toolCall?.parameters || {})}`;
+}
+
+/**
+ * Configure the assistant for an inbound call
+ * VAPI sends an assistant-request when a number has no fixed assistant. The
+ * dialed number decides which host the call belongs to, and the host's
+ * details reach the assistant (and later tool calls) as variable values.
+ */
+async function handleAssistantRequest(message, res) {
+  const call = message.call || {};
+  const phoneNumberId = call.phoneNumberId || message.phoneNumber?.id;
+  const number = message.phoneNumber?.number || call.phoneNumber?.number;
+
+  try {
+    const phoneNumber = await findPhoneNumber({ phoneNumberId, number });
+
+    if (!phoneNumber) {
+      log.error('No host found for dialed number', { phoneNumberId, number });
+      return res.json({ error: createTranslator().t('call.notSetUp') });
+    }
+
+    const assistantId = phoneNumber.assistantId || process.env.VAPI_ASSISTANT_ID;
+
+    if (!assistantId) {
+      log.error('No assistant configured for number; set assistantId or VAPI_ASSISTANT_ID', { number: phoneNumber.number });
+      return res.json({ error: createTranslator().t('call.notSetUp') });
+    }
+
+    const userId = phoneNumber.userId;
+    const [settings, meetingTypes] = await Promise.all([
+      getCalendarSettings(userId),
+      getMeetingTypes(userId)
+    ]);
+
+    const i18n = createTranslator(resolveLocale(settings.locale), settings.messages);
+
+    log.info('Routing inbound call', { userId });
+
+    return res.json({
+      assistantId,
+      assistantOverrides: {
+        variableValues: {
+          user_id: String(userId),
+          timezone: isValidTimeZone(settings.timezone) ? settings.timezone : 'UTC',
+          business_name: settings.businessName || '',
+          meeting_types: i18n.list(meetingTypes.map((type) => formatMeetingType(type, i18n))),
+          locale: i18n.locale
+        }
+      }
     });
+
+  } catch (error) {
+    log.error('Failed to answer assistant-request', error);
+    return res.json({ error: createTranslator().t('call.unavailable') });
+  }
+}
+
+/**
+ * Record a call lifecycle message against the call's host
+ * VAPI doesn't use the response, so it is just an acknowledgement
+ */
+async function handleLifecycleMessage(message, call, userId, res) {
+  if (!call.id) {
+    log.warn('Message without a call id', { type: message.type });
+    return res.json({ received: true });
+  }
+
+  if (!userId) {
+    log.warn('Message has no user_id in call metadata', { type: message.type });
+  }
+
+  try {
+    await LIFECYCLE_HANDLERS[message.type](message, call, userId ? parseInt(userId) : null);
+    log.info('Recorded call event', { type: message.type });
+    return res.json({ received: true });
+  } catch (error) {
+    log.error('Failed to record call event', { type: message.type, error });
+    return res.status(500).json({ error: "Failed to record call event" });
+  }
+}
+
+/**
+ * Get a message timestamp (epoch ms or ISO string) as a Date
+ */
+function toDate(value) {
+  if (value == null) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Record a call status change
+ */
+async function handleStatusUpdate(message, call, userId) {
+  await recordCallStatus(userId, call, {
+    status: message.status,
+    endedReason: message.endedReason,
+    at: toDate(message.timestamp) || new Date()
+  });
+}
+
+/**
+ * Record a transcript line (partial transcripts are skipped)
+ */
+async function handleTranscript(message, call, userId) {
+  if (message.transcriptType && message.transcriptType !== 'final') {
+    return;
   }
+
+  await recordTranscriptLine(userId, call, {
+    role: message.role,
+    text: message.transcript,
+    at: toDate(message.timestamp) || new Date()
+  });
+}
+
+/**
+ * Record that the assistant hung (didn't respond in time)
+ */
+async function handleHang(message, call, userId) {
+  await recordCallHang(userId, call, { at: toDate(message.timestamp) || new Date() });
+}
+
+/**
+ * Store the end-of-call report
+ * Newer reports nest the recording and transcript under `artifact` and the
+ * summary under `analysis`; older ones carry them at the top level
+ */
+async function handleEndOfCallReport(message, call, userId) {
+  const artifact = message.artifact || {};
+  const startedAt = toDate(message.startedAt || call.startedAt);
+  const endedAt = toDate(message.endedAt || call.endedAt);
+
+  await recordCallReport(userId, call, {
+    startedAt,
+    endedAt,
+    durationSeconds: message.durationSeconds ??
+      (startedAt && endedAt ? Math.round((endedAt - startedAt) / 1000) : null),
+    endedReason: message.endedReason || call.endedReason,
+    summary: message.analysis?.summary || message.summary,
+    transcript: artifact.transcript || message.transcript,
+    recordingUrl: artifact.recordingUrl || message.recordingUrl,
+    stereoRecordingUrl: artifact.stereoRecordingUrl || message.stereoRecordingUrl,
+    cost: message.cost ?? call.cost,
+    costBreakdown: message.costBreakdown || call.costBreakdown
+  });
 }
 
 /**
  * Check calendar availability
  */
-async function handleCheckAvailability(parameters, userId) {
-  const { date, time, timezone = "UTC", duration_minutes = 30 } = parameters;
+async function handleCheckAvailability(parameters, userId, i18n) {
+  const { date, time, timezone } = parameters;
 
-  if (!date || !time) {
+  if (!isValidTimeZone(timezone)) {
     return {
-      result: "I need both a date and time to check availability. Could you provide those?",
+      result: i18n.t('common.askTimezone'),
       success: false
     };
   }
 
   try {
-    // Parse date and time
-    const proposedDateTime = parseDateTime(date, time, timezone);
-    
-    console.log(`[VAPI Calendar] Checking availability:`, {
+    const resolved = await resolveMeetingType(parameters, userId, i18n);
+    if (resolved.response) {
+      return resolved.response;
+    }
+    const { meetingType } = resolved;
+
+    // A meeting type's length wins over one given on the call
+    const duration = meetingType ? { minutes: meetingType.durationMinutes } : resolveDuration(parameters, { startTime: time });
+    const requested = resolveDateTime(date, time, timezone);
+    const question = requested.question || duration.question;
+    if (question) {
+      return { result: i18n.t(question.key, question.values), success: false };
+    }
+    const durationMinutes = duration.minutes;
+    const proposedDateTime = requested.start;
+
+    log.info('Checking availability', {
       userId,
       date,
-      time,
+      requestedTime: time,
       timezone,
+      meetingType: meetingType?.slug,
       proposedDateTime: proposedDateTime.toISOString()
     });
 
     // Check availability
-    const availability = await checkAvailability(userId, proposedDateTime, duration_minutes);
+    const availability = await checkAvailability(userId, proposedDateTime, durationMinutes, {
+      timezone,
+      meetingType: meetingType?.slug
+    });
 
     if (availability.available) {
       return {
-        result: `Great! ${formatDateTime(proposedDateTime, timezone)} is available. Would you like to book this time?`,
+        result: i18n.t('check.available', { when: formatDateTime(proposedDateTime, timezone, i18n) }),
         success: true
       };
     } else {
-      const conflictNames = availability.conflicts.map(c => c.title).join(", ");
+      const suggestions = availability.suggestions || [];
+      const followUp = suggestions.length > 0
+        ? i18n.t('check.suggestions', { times: i18n.list(suggestions.map(slot => formatSlot(slot.start, proposedDateTime, timezone, i18n))) })
+        : i18n.t('check.askOtherTime');
+
       return {
-        result: `Unfortunately, ${formatDateTime(proposedDateTime, timezone)} is not available. There's already ${conflictNames} scheduled. Could you suggest another time that works for you?`,
+        result: i18n.t('check.unavailable', {
+          when: formatDateTime(proposedDateTime, timezone, i18n),
+          reason: explainRefusal(availability, timezone, i18n),
+          followUp
+        }),
+        success: false,
+        alternatives: suggestions.map(slot => toLocalSlot(slot, timezone))
+      };
+    }
+  } catch (error) {
+    log.error('Error in handleCheckAvailability', error);
+    return {
+      result: i18n.t('check.error'),
+      success: false
+    };
+  }
+}
+
+/**
+ * List open times for a day or date range
+ */
+async function handleFindAvailableSlots(parameters, userId, i18n) {
+  const { date, end_date, timezone } = parameters;
+
+  if (!isValidTimeZone(timezone)) {
+    return {
+      result: i18n.t('common.askTimezone'),
+      success: false
+    };
+  }
+
+  try {
+    const resolved = await resolveMeetingType(parameters, userId, i18n);
+    if (resolved.response) {
+      return resolved.response;
+    }
+    const { meetingType } = resolved;
+    const duration = meetingType ? { minutes: meetingType.durationMinutes } : resolveDuration(parameters);
+    const first = resolveDate(date, timezone);
+    const last = end_date ? resolveDate(end_date, timezone) : first;
+    const question = first.question || last.question || duration.question;
+    if (question) {
+      return { result: i18n.t(question.key, question.values), success: false };
+    }
+    const durationMinutes = duration.minutes;
+    const firstDay = first.date;
+    const lastDay = last.date;
+    const rangeDays = Math.round(
+      (Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day) - Date.UTC(firstDay.year, firstDay.month - 1, firstDay.day)) / (24 * 60 * 60 * 1000)
+    ) + 1;
+
+    if (rangeDays < 1 || rangeDays > MAX_SLOT_SEARCH_DAYS) {
+      return {
+        result: i18n.t('slots.tooManyDays', { range: i18n.count('duration.days', MAX_SLOT_SEARCH_DAYS) }),
+        success: false
+      };
+    }
+
+    // Local midnight at the start of the first day to midnight after the last
+    const rangeStart = new Date(Math.max(zonedTimeToUtc(firstDay, timezone).getTime(), Date.now()));
+    const rangeEnd = zonedTimeToUtc({ ...lastDay, day: lastDay.day + 1 }, timezone);
+
+    if (rangeStart >= rangeEnd) {
+      return {
+        result: i18n.t('slots.pastDate'),
         success: false
       };
     }
+
+    log.info('Finding available slots', {
+      userId,
+      date,
+      end_date,
+      timezone,
+      rangeStart: rangeStart.toISOString(),
+      rangeEnd: rangeEnd.toISOString(),
+      durationMinutes,
+      meetingType: meetingType?.slug
+    });
+
+    const { days, slots } = await findAvailableSlots(userId, rangeStart, rangeEnd, durationMinutes, {
+      timezone,
+      meetingType: meetingType?.slug
+    });
+
+    if (days.length === 0) {
+      return {
+        result: i18n.t(end_date ? 'slots.noneInRange' : 'slots.noneThatDay'),
+        success: true,
+        slots: []
+      };
+    }
+
+    return {
+      result: i18n.t('slots.openings', { summary: summarizeAvailability(days, timezone, i18n) }),
+      success: true,
+      slots: slots.map(slot => toLocalSlot(slot, timezone))
+    };
   } catch (error) {
-    console.error("[VAPI Calendar] Error in handleCheckAvailability:", error);
+    log.error('Error in handleFindAvailableSlots', error);
     return {
-      result: "I'm having trouble checking the calendar right now. Could you try a different time?",
+      result: i18n.t('slots.error'),
       success: false
     };
   }
@@ -124,12 +652,11 @@ async function handleCheckAvailability(parameters, userId) {
 /**
  * Book calendar meeting
  */
-async function handleBookMeeting(parameters, call, userId) {
+async function handleBookMeeting(parameters, call, userId, toolCall, i18n) {
   const {
     date,
     time,
-    timezone = "UTC",
-    duration = 30,
+    timezone,
     leadName,
     leadEmail,
     leadPhone,
@@ -138,109 +665,428 @@ async function handleBookMeeting(parameters, call, userId) {
     meetingTitle
   } = parameters;
 
-  if (!date || !time || !leadName || !leadEmail) {
+  if (!isValidTimeZone(timezone)) {
     return {
-      result: "I need the date, time, your name, and email to book the meeting. Could you provide those?",
+      result: i18n.t('common.askTimezone'),
       success: false
     };
   }
 
+  // A doubtful address is confirmed with the caller before anything is booked
+  const emailCheck = checkSpokenEmail(leadEmail);
+  const emailResponse = confirmEmail(emailCheck, parameters.emailConfirmed, i18n);
+  if (emailResponse) {
+    return emailResponse;
+  }
+  const attendeeEmail = emailCheck.email;
+
   try {
-    const scheduledAt = parseDateTime(date, time, timezone);
+    const resolved = await resolveMeetingType(parameters, userId, i18n);
+    if (resolved.response) {
+      return resolved.response;
+    }
+    const { meetingType } = resolved;
+
+    const duration = meetingType ? { minutes: meetingType.durationMinutes } : resolveDuration(parameters, { startTime: time });
+    const requested = resolveDateTime(date, time, timezone);
+    const question = requested.question || duration.question;
+    if (question) {
+      return { result: i18n.t(question.key, question.values), success: false };
+    }
+    const scheduledAt = requested.start;
+
+    // The meeting type's required questions must be answered before booking
+    const { answers, missing } = getIntakeAnswers(meetingType, parameters);
+    if (missing.length > 0) {
+      return {
+        result: missing[0].question || i18n.t('booking.askIntake', { field: missing[0].label || missing[0].key }),
+        success: false,
+        missingFields: missing.map((field) => field.key)
+      };
+    }
+
+    const templateValues = {
+      name: leadName,
+      email: attendeeEmail,
+      phone: leadPhone || call?.customer?.number,
+      company: companyName,
+      notes: meetingNotes,
+      meetingType: meetingType?.name,
+      ...Object.fromEntries(answers.map((answer) => [answer.key, answer.value]))
+    };
     
-    console.log(`[VAPI Calendar] Booking meeting:`, {
+    log.info('Booking meeting', {
       userId,
-      leadName,
-      leadEmail,
+      attendeeEmail,
+      meetingType: meetingType?.slug,
       scheduledAt: scheduledAt.toISOString()
     });
 
     const result = await bookMeeting(
       userId,
       {
-        email: leadEmail,
+        email: attendeeEmail,
         name: leadName,
         phone: leadPhone || call.customer?.number
       },
       {
-        title: meetingTitle || `Meeting with ${leadName}`,
-        description: meetingNotes || `Scheduled via AI call`,
+        title: meetingType?.titleTemplate
+          ? renderTemplate(meetingType.titleTemplate, templateValues)
+          : meetingTitle || `${meetingType?.name || 'Meeting'} with ${leadName}`,
+        description: meetingType?.descriptionTemplate
+          ? renderTemplate(meetingType.descriptionTemplate, templateValues)
+          : meetingNotes || `Scheduled via AI call`,
         scheduledAt,
-        durationMinutes: duration,
+        durationMinutes: duration.minutes,
+        meetingType: meetingType?.slug,
+        intake: answers,
         timezone,
-        bookedBy: "ai_call"
+        bookedBy: "ai_call",
+        callId: call?.id,
+        idempotencyKey: getIdempotencyKey(call, toolCall)
       }
     );
 
     if (result.success) {
       return {
-        result: `Perfect! I've booked ${formatDateTime(scheduledAt, timezone)} for you. You'll receive a calendar invite at ${leadEmail} shortly.`,
+        result: [
+          i18n.t('booking.confirmed', { when: formatDateTime(scheduledAt, timezone, i18n) }),
+          i18n.t('booking.inviteSent', { email: speakEmail(attendeeEmail, i18n) }),
+          explainConference(result.conference, i18n)
+        ].filter(Boolean).join(' '),
         success: true
       };
     } else {
+      // Errors come from the calendar and aren't for the caller's ears
+      if (!result.reason) {
+        log.error('Booking failed', { error: result.error });
+      }
       return {
-        result: `I wasn't able to book that time. ${result.error || 'Please try a different time.'}`,
+        result: result.reason
+          ? i18n.t('booking.refused', { reason: explainRefusal(result, timezone, i18n) })
+          : i18n.t('booking.failedTryAgain'),
         success: false
       };
     }
   } catch (error) {
-    console.error("[VAPI Calendar] Error in handleBookMeeting:", error);
+    log.error('Error in handleBookMeeting', error);
     return {
-      result: "I encountered an error booking the meeting. Let me transfer you to someone who can help.",
+      result: i18n.t('booking.error'),
       success: false
     };
   }
 }
 
 /**
- * Parse date and time string into Date object
+ * Ask the caller to spell out an email that isn't an address, or to confirm
+ * one that looks mistyped (null when it can be used)
+ * emailConfirmed is set on the retried call once the caller has confirmed
  */
-function parseDateTime(dateStr, timeStr, timezone) {
-  // Handle various date formats
-  let year, month, day;
-  
-  if (dateStr.includes('-')) {
-    // YYYY-MM-DD format
-    [year, month, day] = dateStr.split('-').map(Number);
-  } else if (dateStr.includes('/')) {
-    // DD/MM/YYYY or MM/DD/YYYY format
-    const parts = dateStr.split('/').map(Number);
-    if (parts[0] > 12) {
-      // DD/MM/YYYY
-      [day, month, year] = parts;
-    } else {
-      // MM/DD/YYYY
-      [month, day, year] = parts;
+function confirmEmail(emailCheck, emailConfirmed, i18n) {
+  if (emailCheck.status === 'invalid') {
+    return {
+      result: i18n.t('email.spellOut'),
+      success: false,
+      emailConfirmation: { status: 'invalid', heard: emailCheck.email }
+    };
+  }
+
+  if (emailCheck.status === 'doubtful' && emailConfirmed !== true && emailConfirmed !== 'true') {
+    return {
+      result: i18n.t('email.confirm', { heard: speakEmail(emailCheck.email, i18n), suggestion: speakEmail(emailCheck.suggestion, i18n) }),
+      success: false,
+      emailConfirmation: { status: 'doubtful', heard: emailCheck.email, suggestion: emailCheck.suggestion }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Look up the meeting type the caller asked for (parameters.meetingType)
+ * Returns { meetingType }, null when none was asked for or the host doesn't
+ * use meeting types, or { response } naming the host's meeting types when
+ * it matches none of them
+ */
+async function resolveMeetingType(parameters, userId, i18n) {
+  if (!parameters.meetingType) {
+    return { meetingType: null };
+  }
+
+  const meetingType = await getMeetingType(userId, parameters.meetingType);
+  if (meetingType) {
+    return { meetingType };
+  }
+
+  const meetingTypes = await getMeetingTypes(userId);
+  if (meetingTypes.length === 0) {
+    return { meetingType: null };
+  }
+
+  return {
+    response: {
+      result: i18n.t('meetingTypes.ask', { options: i18n.list(meetingTypes.map((type) => formatMeetingType(type, i18n))) }),
+      success: false
     }
-  } else {
-    throw new Error(`Invalid date format: ${dateStr}`);
+  };
+}
+
+/**
+ * Find the caller's booking to change
+ * Looks up upcoming agent-booked meetings by the caller's phone number and/or
+ * the email they give, narrowed by original_date when they have several.
+ * Anyone can say someone else's email, so bookings made from another number
+ * (or found while the caller's number is unknown) are only returned once the
+ * caller confirms the name and time they were booked under.
+ * Returns { booking } or { response } with a question for the caller.
+ */
+async function locateBooking(parameters, call, userId, timezone, i18n) {
+  const { original_date } = parameters;
+  const leadEmail = parameters.leadEmail ? normalizeSpokenEmail(parameters.leadEmail) : null;
+  const phone = call?.customer?.number;
+
+  if (!phone && !leadEmail) {
+    return {
+      response: {
+        result: i18n.t('lookup.askEmail'),
+        success: false
+      }
+    };
   }
 
-  // Handle time (HH:MM or HH:MM AM/PM)
-  let hours, minutes;
-  const timeLower = timeStr.toLowerCase();
-  
-  if (timeLower.includes('am') || timeLower.includes('pm')) {
-    const isPM = timeLower.includes('pm');
-    const timeOnly = timeStr.replace(/am|pm/gi, '').trim();
-    [hours, minutes] = timeOnly.split(':').map(Number);
-    
-    if (isPM && hours !== 12) hours += 12;
-    if (!isPM && hours === 12) hours = 0;
-  } else {
-    [hours, minutes] = timeStr.split(':').map(Number);
+  let bookings = await findUpcomingBookings(userId, { phone, email: leadEmail });
+
+  const callerPhone = phone ? normalizePhone(phone) : null;
+  const fromThisNumber = callerPhone
+    ? bookings.filter((booking) => normalizePhone(booking.attendeePhone) === callerPhone)
+    : [];
+
+  if (fromThisNumber.length > 0) {
+    bookings = fromThisNumber;
+  } else if (bookings.length > 0) {
+    const check = confirmBookingOwner(parameters, bookings, timezone, i18n);
+    if (check.response) {
+      return check;
+    }
+    bookings = check.bookings;
   }
 
-  // Create date in UTC
-  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, 0, 0));
-  
-  return date;
+  if (original_date) {
+    const { date, question } = resolveDate(original_date, timezone);
+    if (question) {
+      return { response: { result: i18n.t(question.key, question.values), success: false } };
+    }
+    const { year, month, day } = date;
+    bookings = bookings.filter((booking) => {
+      const local = getZonedParts(booking.start, timezone);
+      return local.year === year && local.month === month && local.day === day;
+    });
+  }
+
+  if (bookings.length === 0) {
+    return {
+      response: {
+        result: i18n.t(leadEmail ? 'lookup.notFoundByEmail' : 'lookup.notFoundByPhone'),
+        success: false
+      }
+    };
+  }
+
+  if (bookings.length > 1) {
+    const options = bookings.slice(0, 3).map(booking => formatDateTime(booking.start, timezone, i18n));
+    return {
+      response: {
+        result: i18n.t('lookup.several', { count: bookings.length, options: i18n.list(options) }),
+        success: false,
+        bookings: bookings.map(booking => toLocalSlot(booking, timezone))
+      }
+    };
+  }
+
+  return { booking: bookings[0] };
+}
+
+/**
+ * Check that a caller who found bookings only by email is the person they
+ * were booked for: the name and the day and time of the meeting must match.
+ * Nothing about the bookings is read out until they do.
+ * Returns { bookings } (the ones that matched) or { response }.
+ */
+function confirmBookingOwner(parameters, bookings, timezone, i18n) {
+  const { leadName, original_date, original_time } = parameters;
+  const ask = (key) => ({ response: { result: i18n.t(key), success: false, verificationRequired: true } });
+
+  if (!leadName || !original_date || !original_time) {
+    return ask('lookup.verifyIdentity');
+  }
+
+  const day = resolveDate(original_date, timezone);
+  const time = resolveTime(original_time);
+  const question = day.question || time.question;
+  if (question) {
+    return { response: { result: i18n.t(question.key, question.values), success: false } };
+  }
+
+  const name = normalizeName(leadName);
+  const matches = bookings.filter((booking) => {
+    const local = getZonedParts(booking.start, timezone);
+    return normalizeName(booking.attendeeName) === name &&
+      local.year === day.date.year && local.month === day.date.month && local.day === day.date.day &&
+      local.hours === time.time.hours && local.minutes === time.time.minutes;
+  });
+
+  if (matches.length === 0) {
+    log.warn('Booking owner not confirmed', { candidates: bookings.length });
+    return ask('lookup.notVerified');
+  }
+
+  return { bookings: matches };
+}
+
+/**
+ * Normalize a person's name for matching (case, accents and punctuation aside)
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Move the caller's existing meeting to a new time
+ */
+async function handleRescheduleMeeting(parameters, call, userId, i18n) {
+  const { date, time, timezone } = parameters;
+
+  if (!isValidTimeZone(timezone)) {
+    return {
+      result: i18n.t('common.askTimezone'),
+      success: false
+    };
+  }
+
+  try {
+    // Without a new length the meeting keeps its current one
+    const duration = resolveDuration(parameters, { defaultMinutes: null, startTime: time });
+    const requested = resolveDateTime(date, time, timezone);
+    const question = requested.question || duration.question;
+    if (question) {
+      return { result: i18n.t(question.key, question.values), success: false };
+    }
+    const newStart = requested.start;
+    const { booking, response } = await locateBooking(parameters, call, userId, timezone, i18n);
+
+    if (!booking) {
+      return response;
+    }
+
+    log.info('Rescheduling meeting', {
+      userId,
+      bookingId: booking.id,
+      from: booking.start.toISOString(),
+      to: newStart.toISOString()
+    });
+
+    const result = await rescheduleMeeting(userId, booking, newStart, {
+      timezone,
+      durationMinutes: duration.minutes ?? undefined,
+      callId: call?.id
+    });
+
+    if (result.success) {
+      return {
+        result: i18n.t('reschedule.done', {
+          from: formatDateTime(booking.start, timezone, i18n),
+          to: formatDateTime(newStart, timezone, i18n)
+        }),
+        success: true
+      };
+    }
+
+    if (result.reason) {
+      const suggestions = result.suggestions || [];
+      const followUp = suggestions.length > 0
+        ? i18n.t('reschedule.suggestions', { times: i18n.list(suggestions.map(slot => formatSlot(slot.start, newStart, timezone, i18n))) })
+        : i18n.t('reschedule.askOtherTime');
+      return {
+        result: i18n.t('reschedule.refused', {
+          when: formatDateTime(newStart, timezone, i18n),
+          reason: explainRefusal(result, timezone, i18n),
+          followUp
+        }),
+        success: false,
+        alternatives: suggestions.map(slot => toLocalSlot(slot, timezone))
+      };
+    }
+
+    return {
+      result: i18n.t('reschedule.failed'),
+      success: false
+    };
+  } catch (error) {
+    log.error('Error in handleRescheduleMeeting', error);
+    return {
+      result: i18n.t('reschedule.error'),
+      success: false
+    };
+  }
+}
+
+/**
+ * Cancel the caller's existing meeting
+ */
+async function handleCancelMeeting(parameters, call, userId, i18n) {
+  const { timezone } = parameters;
+
+  if (!isValidTimeZone(timezone)) {
+    return {
+      result: i18n.t('common.askTimezone'),
+      success: false
+    };
+  }
+
+  try {
+    const { booking, response } = await locateBooking(parameters, call, userId, timezone, i18n);
+
+    if (!booking) {
+      return response;
+    }
+
+    log.info('Cancelling meeting', {
+      userId,
+      bookingId: booking.id,
+      scheduledAt: booking.start.toISOString()
+    });
+
+    const result = await cancelMeeting(userId, booking, { callId: call?.id });
+
+    if (result.success) {
+      return {
+        result: i18n.t('cancel.done', { when: formatDateTime(booking.start, timezone, i18n) }),
+        success: true
+      };
+    }
+
+    return {
+      result: i18n.t('cancel.failed'),
+      success: false
+    };
+  } catch (error) {
+    log.error('Error in handleCancelMeeting', error);
+    return {
+      result: i18n.t('cancel.error'),
+      success: false
+    };
+  }
 }
 
 /**
  * Format date time for display
  */
-function formatDateTime(date, timezone) {
+function formatDateTime(date, timezone, i18n) {
   const options = {
     weekday: 'long',
     year: 'numeric',
@@ -251,5 +1097,214 @@ function formatDateTime(date, timezone) {
     timeZone: timezone
   };
   
-  return date.toLocaleString('en-US', options);
+  return date.toLocaleString(i18n.locale, options);
+}
+
+/**
+ * Tell the caller how a booked meeting will take place (empty if it has no
+ * conferencing)
+ */
+function explainConference(conference, i18n) {
+  switch (conference?.type) {
+    case 'google-meet':
+    case 'zoom':
+      return i18n.t(`conference.${conference.type}`);
+    case 'link':
+      return conference.label
+        ? i18n.t('conference.link', { label: conference.label })
+        : i18n.t('conference.onlineMeeting');
+    case 'phone':
+      return i18n.t('conference.phone', { phone: conference.phone });
+    case 'location':
+      return i18n.t('conference.location', { location: conference.location });
+    default:
+      return '';
+  }
+}
+
+/**
+ * Explain to the caller why a slot was refused by checkAvailability/bookMeeting
+ * Conflicts arrive redacted: only titles the host's privacy policy reveals
+ * are named, anything else is just busy
+ */
+function explainRefusal({ reason, details = {}, conflicts = [] }, timezone, i18n) {
+  switch (reason) {
+    case 'conflict': {
+      const titles = [...new Set(conflicts.map(c => c.title).filter(Boolean))];
+      if (titles.length === 0) {
+        return i18n.t('refusal.busy');
+      }
+      if (conflicts.some(c => !c.title)) {
+        titles.push(i18n.t('refusal.anotherMeeting'));
+      }
+      return i18n.t('refusal.conflict', { titles: i18n.list(titles, 'and') });
+    }
+
+    case 'buffer':
+      return i18n.t('refusal.buffer');
+
+    case 'minimum_notice':
+      return i18n.t('refusal.minimumNotice', { notice: formatMinutes(details.minimumNoticeMinutes, i18n) });
+
+    case 'too_far_ahead':
+      return i18n.t('refusal.tooFarAhead', { ahead: i18n.count('duration.days', details.maxDaysAhead) });
+
+    case 'outside_working_hours': {
+      const windows = details.workingWindows || [];
+      if (windows.length === 0) {
+        return i18n.t('refusal.closedThatDay');
+      }
+      const hours = windows.map(w => i18n.t('refusal.hoursRange', {
+        start: formatSpokenTime(w.start, timezone, i18n),
+        end: formatSpokenTime(w.end, timezone, i18n)
+      }));
+      return i18n.t('refusal.outsideHours', { hours: i18n.list(hours) });
+    }
+
+    case 'daily_limit':
+      return i18n.t('refusal.dailyLimit');
+
+    case 'slot_held':
+      return i18n.t('refusal.slotHeld');
+
+    default:
+      return i18n.t('refusal.taken');
+  }
+}
+
+/**
+ * Speak a number of minutes as minutes, hours or days
+ */
+function formatMinutes(minutes, i18n) {
+  if (minutes % (24 * 60) === 0) {
+    return i18n.count('duration.days', minutes / (24 * 60));
+  }
+  if (minutes % 60 === 0) {
+    return i18n.count('duration.hours', minutes / 60);
+  }
+  return i18n.count('duration.minutes', minutes);
+}
+
+/**
+ * Speak a meeting type with its length ("Demo (45 minutes)")
+ */
+function formatMeetingType(type, i18n) {
+  return i18n.t('meetingTypes.option', { name: type.name, duration: formatMinutes(type.durationMinutes, i18n) });
+}
+
+/**
+ * Format an alternative slot for speech
+ * Slots on the same local day as the requested time only read the time
+ */
+function formatSlot(date, referenceDate, timezone, i18n) {
+  const time = date.toLocaleString(i18n.locale, { hour: 'numeric', minute: '2-digit', timeZone: timezone });
+  const sameDay = date.toLocaleDateString('en-US', { timeZone: timezone }) ===
+    referenceDate.toLocaleDateString('en-US', { timeZone: timezone });
+
+  if (sameDay) {
+    return time;
+  }
+
+  const day = date.toLocaleString(i18n.locale, { weekday: 'long', month: 'long', day: 'numeric', timeZone: timezone });
+  return i18n.t('slot.dayAtTime', { day, time });
+}
+
+/**
+ * Describe a slot in the caller's local date/time so it can be passed
+ * straight back to book_calendar_meeting
+ */
+function toLocalSlot(slot, timezone) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const local = getZonedParts(slot.start, timezone);
+
+  return {
+    date: `${local.year}-${pad(local.month)}-${pad(local.day)}`,
+    time: `${pad(local.hours)}:${pad(local.minutes)}`,
+    timezone,
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString()
+  };
+}
+
+/**
+ * Get a time's spoken parts in the call's language: { text, dayPeriod },
+ * where text drops the minutes on the hour on a 12-hour clock ("9 AM",
+ * "2:30 PM", but "09:00" on a 24-hour one) and, with
+ * meridiem false, the AM/PM marker the caller can infer from context
+ */
+function spokenTimeParts(date, timezone, i18n, { meridiem = true } = {}) {
+  const { hour12 } = new Intl.DateTimeFormat(i18n.locale, { hour: 'numeric' }).resolvedOptions();
+  const onTheHour = hour12 && getZonedParts(date, timezone).minutes === 0;
+  const parts = new Intl.DateTimeFormat(i18n.locale, {
+    hour: 'numeric',
+    ...(!onTheHour && { minute: '2-digit' }),
+    timeZone: timezone
+  }).formatToParts(date);
+  const dayPeriod = parts.find((part) => part.type === 'dayPeriod')?.value || null;
+  const kept = meridiem ? parts : parts.filter((part) => part.type !== 'dayPeriod');
+
+  return { text: kept.map((part) => part.value).join('').trim(), dayPeriod };
+}
+
+/**
+ * Format a time for speech (see spokenTimeParts)
+ */
+function formatSpokenTime(date, timezone, i18n, options) {
+  return spokenTimeParts(date, timezone, i18n, options).text;
+}
+
+/**
+ * Describe one free window ("between 9 and 11 AM", "after 3 PM")
+ * morning is true when the whole window is before noon
+ */
+function describeWindow(window, day, timezone, i18n) {
+  const startsAtDayStart = window.start.getTime() === day.dayStart.getTime();
+  const endsAtDayEnd = window.end.getTime() === day.dayEnd.getTime();
+  const end = getZonedParts(window.end, timezone);
+  const morning = end.hours < 12 || (end.hours === 12 && end.minutes === 0);
+
+  if (endsAtDayEnd && !startsAtDayStart) {
+    return { text: i18n.t('availability.after', { start: formatSpokenTime(window.start, timezone, i18n) }), morning };
+  }
+
+  const start = spokenTimeParts(window.start, timezone, i18n);
+  const endText = spokenTimeParts(window.end, timezone, i18n);
+  const sameMeridiem = start.dayPeriod === endText.dayPeriod;
+
+  return {
+    text: i18n.t('availability.between', {
+      start: sameMeridiem ? formatSpokenTime(window.start, timezone, i18n, { meridiem: false }) : start.text,
+      end: endText.text
+    }),
+    morning
+  };
+}
+
+/**
+ * Summarize free windows for speech, e.g.
+ * "Thursday morning between 9 and 11 AM, or after 3 PM"
+ * Only the first three days with openings are read out.
+ */
+function summarizeAvailability(days, timezone, i18n) {
+  const spokenDays = days.slice(0, 3).map((day) => {
+    // The weekday alone is unambiguous within the first week of the range
+    const withinWeek = day.dayStart - days[0].dayStart < 7 * 24 * 60 * 60 * 1000;
+    const dayName = day.dayStart.toLocaleString(i18n.locale, withinWeek
+      ? { weekday: 'long', timeZone: timezone }
+      : { weekday: 'long', month: 'long', day: 'numeric', timeZone: timezone });
+
+    return day.windows.map((window, index) => {
+      const { text, morning } = describeWindow(window, day, timezone, i18n);
+      if (index > 0) {
+        return text;
+      }
+      if (!morning) {
+        return i18n.t('availability.dayWindow', { day: dayName, window: text });
+      }
+      return i18n.t(withinWeek ? 'availability.dayMorningWindow' : 'availability.dayInTheMorningWindow', { day: dayName, window: text });
+    }).join(i18n.t('availability.windowSeparator'));
+  });
+
+  const summary = spokenDays.join(i18n.t('availability.daySeparator'));
+  return days.length > 3 ? i18n.t('availability.laterDays', { summary }) : summary;
 }